@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+// homebridge-lib/cli/schema.js
+//
+// Library for Homebridge plugins.
+// Copyright © 2018-2019 Erik Baauw. All rights reserved.
+//
+// Generator for config.schema.json.
+
+'use strict'
+
+const homebridgeLib = require('../index')
+
+const chalk = require('chalk')
+const fs = require('fs')
+const path = require('path')
+
+const b = chalk.bold
+const u = chalk.underline
+const usage = `${b('schema')} [${b('-hVn')}] [${b('-o')} ${u('file')}] [${u('plugin')}]`
+const help = `Generator for config.schema.json.
+
+Usage: ${usage}
+
+Load the Homebridge platform plugin in ${u('plugin')} and print the contents of
+config.schema.json, generated from the plugin's configuration definition.
+Parameters:
+  ${b('-h')}          Print this help and exit.
+  ${b('-V')}          Print version and exit.
+  ${b('-n')}          Do not include spaces nor newlines in output.
+  ${b('-o')} ${u('file')}     Write config.schema.json to ${u('file')} instead of to stdout.
+  ${u('plugin')}      Directory of the plugin (default: current directory).`
+
+class UsageError extends Error {}
+
+class Main extends homebridgeLib.CommandLineTool {
+  constructor () {
+    super()
+    this.usage = usage
+    this.options = {}
+    this.plugin = '.'
+  }
+
+  parseArguments () {
+    const parser = new homebridgeLib.CommandLineParser()
+    parser.help('h', 'help', help)
+    parser.version('V', 'version')
+    parser.flag('n', 'noWhiteSpace', () => { this.options.noWhiteSpace = true })
+    parser.option('o', 'output', (value) => { this.output = value })
+    parser.remaining((list) => {
+      if (list.length > 1) {
+        throw new UsageError('too many parameters')
+      }
+      if (list.length === 1) {
+        this.plugin = list[0]
+      }
+    })
+    parser.parse()
+  }
+
+  main () {
+    try {
+      this.parseArguments()
+      const init = require(path.resolve(this.plugin))
+      if (typeof init !== 'function') {
+        throw new Error(`${this.plugin}: not a Homebridge plugin`)
+      }
+      const homebridge = new homebridgeLib.MockHomebridge()
+      homebridge.load(init)
+      if (typeof homebridge.Platform.configSchema !== 'function') {
+        throw new Error(
+          `${homebridge.pluginName}: not based on a recent homebridge-lib`
+        )
+      }
+      const schema = homebridge.Platform.configSchema()
+      if (schema == null) {
+        throw new Error(
+          `${homebridge.pluginName}: no configuration definition`
+        )
+      }
+      const output = new homebridgeLib.JsonFormatter(this.options)
+        .stringify(schema)
+      if (this.output == null) {
+        this.print(output)
+      } else {
+        fs.writeFileSync(this.output, output + '\n')
+      }
+    } catch (err) {
+      this.fatal(err)
+    }
+  }
+}
+
+new Main().main()
@@ -27,6 +27,12 @@
   * See {@link CommandLineTool}.
   * @property {Class} JsonFormatter - JSON formatter.<br>
   * See {@link JsonFormatter}.
+  * @property {Class} MockHomebridge - In-process stand-in for Homebridge, for
+  * testing plugins.<br>
+  * See {@link MockHomebridge}.
+  * @property {Class} PersistentStorage - Persistent storage for a JSON
+  * document.<br>
+  * See {@link PersistentStorage}.
   * @property {Class} RestClient - REST API client.<br>
   * See {@link RestClient}.
   * @property {Class} TypeParser - Parser and validator for types.<br>
@@ -44,6 +50,8 @@ class homebridgeLib {
   static get CommandLineParser () { return require('./lib/CommandLineParser') }
   static get CommandLineTool () { return require('./lib/CommandLineTool') }
   static get JsonFormatter () { return require('./lib/JsonFormatter') }
+  static get MockHomebridge () { return require('./lib/MockHomebridge') }
+  static get PersistentStorage () { return require('./lib/PersistentStorage') }
   static get RestClient () { return require('./lib/RestClient') }
   static get TypeParser () { return require('./lib/TypeParser') }
   static get UpnpClient () { return require('./lib/UpnpClient') }
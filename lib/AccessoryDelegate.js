@@ -7,6 +7,27 @@
 
 const homebridgeLib = require('../index')
 
+// Check that value is an integer >= min.
+function checkInt (key, value, min) {
+  if (typeof value !== 'number' || value !== Math.floor(value)) {
+    throw new TypeError(`${key}: ${value}: not an integer`)
+  }
+  if (value < min) {
+    throw new RangeError(`${key}: ${value}: invalid value < ${min}`)
+  }
+  return value
+}
+
+// Return new statistics for HomeKit requests.
+function requestStats () {
+  return { count: 0, errors: 0, timeouts: 0, time: 0, max: 0 }
+}
+
+// Return a random integer between 0 and max (inclusive).
+function random (max) {
+  return Math.floor(Math.random() * (max + 1))
+}
+
 /** Abstract superclass for a HomeKit accessory delegate.
   *
   * @abstract
@@ -32,6 +53,11 @@ class AccessoryDelegate extends homebridgeLib.Delegate {
     * @param {!string} params.firmware - The accessory firmware revision.
     * @param {?string} params.hardware - The accessory hardware revision.
     * @param {?string} params.software - The accessory software revision.
+    * @param {?integer} [params.errorThreshold=1] - The number of consecutive
+    * errors after which the accessory is considered unreachable,
+    * see {@link AccessoryDelegate#reportError reportError()}.
+    * @param {?boolean} params.noResponse - Fail HomeKit reads while the
+    * accessory is unreachable, so HomeKit shows _No Response_.
     */
   constructor (platform, params = {}) {
     if (params.name == null) {
@@ -44,26 +70,283 @@ class AccessoryDelegate extends homebridgeLib.Delegate {
     if (params.id === '') {
       throw new RangeError('params.id: invalid id')
     }
+    this._id = params.id
 
     // Link or create associated PlatformAccessory.
     this._accessory = this._platform._getAccessory(this, params)
     this._context = this._accessory.context
 
+    // Reachability, see reportError() and reportSuccess().
+    this._reachable = true
+    this._errors = 0
+    this._errorThreshold = params.errorThreshold == null
+      ? 1
+      : checkInt('params.errorThreshold', params.errorThreshold, 1)
+    this._noResponseWhenUnreachable = !!params.noResponse
+
+    // Errors thrown by the plugin, see Platform#_fault().
+    this._faults = 0
+    this._faulty = false
+
+    // Delegates of the services, by service id, see ServiceDelegate.
+    this._serviceDelegates = {}
+
     // Create delegate for AccessoryInformation service.
     this._AccessoryInformationDelegate =
       new homebridgeLib.ServiceDelegate.AccessoryInformation(this, params)
 
     // Configure PlatformAccessory.
     this._accessory.on('identify', this._identify.bind(this))
+
+    // Registered polls, see addPoll().
+    this._polls = {}
+
+    // Statistics of HomeKit requests, see Platform#stats.
+    this._requestStats = { get: requestStats(), set: requestStats() }
+  }
+
+  /** Version of the layout of the accessory {@link AccessoryDelegate#context
+    * context}.
+    *
+    * A plugin that changes the layout of the context of an accessory delegate
+    * class should override this static getter to return a higher version,
+    * and provide the functions to migrate the context in
+    * {@link AccessoryDelegate.contextMigrations contextMigrations}.
+    * When the delegate is linked to a restored accessory with a context of
+    * an older version, the context is migrated before the constructor
+    * returns.
+    * When the context cannot be migrated, the accessory is rebuilt from
+    * scratch, with an empty context.
+    * @type {integer}
+    * @readonly
+    */
+  static get contextVersion () {
+    return 1
+  }
+
+  /** Functions to migrate the accessory
+    * {@link AccessoryDelegate#context context}, by version.
+    *
+    * Each function takes the context in the previous version, and returns
+    * the context in its version.
+    * A function should throw an error when it cannot migrate the context.
+    * @type {object}
+    * @readonly
+    */
+  static get contextMigrations () {
+    return {}
   }
 
   // Remove associated accessory from platform
   remove () {
     this.removeAllListeners('heartbeat')
     this.removeAllListeners('shutdown')
+    this._platform._removeShutdownHandlers(this)
+    this._polls = {}
     this._platform._removeAccessory(this._accessory)
   }
 
+  /** Add a service to the accessory, while Homebridge is running.
+    *
+    * Typically, service delegates are created from the constructor of the
+    * accessory delegate.
+    * Use this method to add a service when the capabilities of the device
+    * change at runtime.
+    * Homebridge is notified of the change, so HomeKit picks up the new
+    * service.
+    * @param {!class} ServiceDelegate - The class of the service delegate,
+    * a subclass of {@link ServiceDelegate}.
+    * @param {!object} params - Parameters for the service delegate, see the
+    * {@link ServiceDelegate constructor}.
+    * @return {ServiceDelegate} The new service delegate.
+    */
+  addServiceDelegate (ServiceDelegate, params = {}) {
+    if (
+      typeof ServiceDelegate !== 'function' ||
+      !(ServiceDelegate.prototype instanceof homebridgeLib.ServiceDelegate)
+    ) {
+      throw new TypeError(
+        `ServiceDelegate: ${ServiceDelegate}: not a ServiceDelegate class`
+      )
+    }
+    const serviceDelegate = new ServiceDelegate(this, params)
+    this._platform._homebridge.updatePlatformAccessories([this._accessory])
+    return serviceDelegate
+  }
+
+  /** Remove a service from the accessory, while Homebridge is running.
+    *
+    * The HomeKit service is removed from the accessory, and its persisted
+    * context is deleted.
+    * The listeners of the characteristic delegates, the shutdown handlers of
+    * the service delegate, and, for a {@link ServiceDelegate.History History}
+    * service delegate, the history file are removed.
+    * Homebridge is notified of the change, so HomeKit drops the service.
+    * @param {!ServiceDelegate} serviceDelegate - The service delegate.
+    */
+  removeServiceDelegate (serviceDelegate) {
+    if (!(serviceDelegate instanceof homebridgeLib.ServiceDelegate)) {
+      throw new TypeError(
+        `serviceDelegate: ${serviceDelegate}: not a ServiceDelegate`
+      )
+    }
+    if (serviceDelegate === this._AccessoryInformationDelegate) {
+      throw new RangeError(
+        `serviceDelegate: ${serviceDelegate.name}: cannot remove AccessoryInformation`
+      )
+    }
+    const id = Object.keys(this._serviceDelegates).find((id) => {
+      return this._serviceDelegates[id] === serviceDelegate
+    })
+    if (id == null) {
+      throw new RangeError(
+        `serviceDelegate: ${serviceDelegate.name}: not a service of this accessory`
+      )
+    }
+    this.debug('remove service %s (%s)', serviceDelegate.name, id)
+    serviceDelegate._remove()
+    delete this._serviceDelegates[id]
+    for (const otherId in this._serviceDelegates) {
+      this._serviceDelegates[otherId].removeLinkedService(serviceDelegate)
+    }
+    this._accessory.removeService(serviceDelegate._service)
+    delete this._accessory.context[id]
+    if (this._accessory.context.contextVersions != null) {
+      delete this._accessory.context.contextVersions[id]
+    }
+    this._platform._homebridge.updatePlatformAccessories([this._accessory])
+  }
+
+  /** Register a function to poll the device.
+    *
+    * The poll function is called from the platform heartbeat, every
+    * `params.interval` seconds, plus a random delay of up to `params.jitter`
+    * seconds, so polls from different accessories are spread out.
+    * The first poll is made after the random delay.<br>
+    * When the previous poll is still running, the poll is skipped,
+    * see {@link AccessoryDelegate#event:pollSkipped pollSkipped}.
+    * When the poll fails, the interval is doubled for each consecutive
+    * failure, up to `params.maxInterval` seconds,
+    * see {@link AccessoryDelegate#event:pollFailed pollFailed}.
+    * @param {!string} key - The key for the poll.
+    * @param {!function} poll - The poll function.<br>
+    * This must be an `async` function.
+    * @param {?object} params - Parameters for the poll.
+    * @param {?integer} [params.interval=60] - The poll interval in seconds.
+    * @param {?integer} params.jitter - The maximum random delay in seconds.
+    * Defaults to one tenth of `params.interval`.
+    * @param {?integer} params.maxInterval - The maximum interval in seconds
+    * after failures.  Defaults to 16 times `params.interval`.
+    */
+  addPoll (key, poll, params = {}) {
+    if (typeof key !== 'string') {
+      throw new TypeError(`key: ${key}: not a string`)
+    }
+    if (key === '') {
+      throw new RangeError(`key: ${key}: invalid key`)
+    }
+    if (this._polls[key] != null) {
+      throw new SyntaxError(`key: ${key}: duplicate key`)
+    }
+    if (typeof poll !== 'function') {
+      throw new TypeError(`poll: ${poll}: not a function`)
+    }
+    const interval = params.interval == null
+      ? 60
+      : checkInt('params.interval', params.interval, 1)
+    const jitter = params.jitter == null
+      ? Math.floor(interval / 10)
+      : checkInt('params.jitter', params.jitter, 0)
+    const maxInterval = params.maxInterval == null
+      ? 16 * interval
+      : checkInt('params.maxInterval', params.maxInterval, interval)
+    this._polls[key] = {
+      poll: poll,
+      interval: interval,
+      jitter: jitter,
+      maxInterval: maxInterval,
+      due: random(jitter),
+      running: false,
+      failures: 0
+    }
+  }
+
+  /** Unregister a poll function, registered by
+    * {@link AccessoryDelegate#addPoll addPoll()}.
+    * @param {!string} key - The key for the poll.
+    */
+  removePoll (key) {
+    delete this._polls[key]
+  }
+
+  // Called by the platform on each heartbeat.
+  _onPoll (beat) {
+    for (const key in this._polls) {
+      const p = this._polls[key]
+      if (p.due > 0) {
+        p.due--
+        continue
+      }
+      p.due = this._pollDelay(p) - 1
+      if (p.running) {
+        this.debug('%s: skip poll, previous poll still running', key)
+        /** Emitted when a poll is skipped, because the previous poll is
+          * still running.
+          * @event AccessoryDelegate#pollSkipped
+          * @param {string} key - The key for the poll.
+          */
+        this.emit('pollSkipped', key)
+        continue
+      }
+      this._runPoll(key, p)
+    }
+  }
+
+  // Return the delay in seconds until the next poll.
+  _pollDelay (p) {
+    const interval = Math.min(p.interval * 2 ** p.failures, p.maxInterval)
+    return interval + random(p.jitter)
+  }
+
+  // Run a poll and handle the result.
+  async _runPoll (key, p) {
+    p.running = true
+    try {
+      await p.poll()
+      this.reportSuccess()
+      if (p.failures > 0) {
+        this.debug('%s: poll recovered after %d failures', key, p.failures)
+        /** Emitted when a poll succeeds after one or more failed polls.
+          * @event AccessoryDelegate#pollRecovered
+          * @param {string} key - The key for the poll.
+          * @param {integer} failures - The number of failed polls.
+          */
+        this.emit('pollRecovered', key, p.failures)
+        p.failures = 0
+        p.due = Math.min(p.due, p.interval - 1)
+      }
+    } catch (reason) {
+      const error = reason instanceof Error ? reason : new Error(reason)
+      if (this._platform._isProgrammingError(error)) {
+        this._platform._fault(this, error)
+      }
+      p.failures++
+      p.due = this._pollDelay(p) - 1
+      this.debug('%s: poll failed %d times: %s', key, p.failures, error.message)
+      this.reportError(error)
+      /** Emitted when a poll fails.
+        * @event AccessoryDelegate#pollFailed
+        * @param {string} key - The key for the poll.
+        * @param {Error} error - The error thrown by the poll function.
+        * @param {integer} failures - The number of consecutive failed polls.
+        * @param {integer} delay - The delay in seconds until the next poll.
+        */
+      this.emit('pollFailed', key, error, p.failures, p.due + 1)
+    } finally {
+      p.running = false
+    }
+  }
+
   get name () {
     return super.name
   }
@@ -77,6 +360,173 @@ class AccessoryDelegate extends homebridgeLib.Delegate {
     }
   }
 
+  get _logFields () {
+    return { accessory: this.name }
+  }
+
+  /** Whether the device is reachable.
+    *
+    * See {@link AccessoryDelegate#reportError reportError()} and
+    * {@link AccessoryDelegate#reportSuccess reportSuccess()}.
+    * @type {boolean}
+    * @readonly
+    */
+  get reachable () {
+    return this._reachable
+  }
+
+  /** Whether the accessory is faulty.
+    *
+    * The accessory becomes faulty when the plugin code for the accessory,
+    * like event listeners, getters, setters, and polls, has thrown
+    * `faultThreshold` errors, see {@link Platform.configDefinition
+    * configDefinition}.
+    * @type {boolean}
+    * @readonly
+    */
+  get faulty () {
+    return this._faulty
+  }
+
+  // Mark the accessory faulty.
+  _setFaulty (error) {
+    this._faulty = true
+    this.warn('faulty after %d faults: %s', this._faults, error.message)
+    this._updateStatusFault()
+    /** Emitted when the accessory has become faulty, see
+      * {@link AccessoryDelegate#faulty faulty}.
+      *
+      * `Characteristic.hap.StatusFault` is set on the services that support
+      * it.
+      * On receiving this event, the plugin might restart the accessory
+      * delegate.
+      * @event AccessoryDelegate#fault
+      * @param {Error} error - The last error thrown.
+      */
+    this.emit('fault', error)
+  }
+
+  /** Report an error communicating with the device.
+    *
+    * After `params.errorThreshold` consecutive errors, the accessory becomes
+    * unreachable: `Characteristic.hap.StatusFault` is set on the services
+    * that support it, HomeKit reads fail when `params.noResponse` was set,
+    * and {@link AccessoryDelegate#event:unreachable unreachable} is emitted.
+    * Failed polls, see {@link AccessoryDelegate#addPoll addPoll()}, are
+    * reported automatically.
+    * @param {Error} error - The error.
+    */
+  reportError (error) {
+    this._errors++
+    if (!this._reachable) {
+      this.debug('still unreachable: %s', error.message)
+      return
+    }
+    if (this._errors < this._errorThreshold) {
+      this.debug('error %d: %s', this._errors, error.message)
+      return
+    }
+    this._reachable = false
+    this.warn('unreachable: %s', error.message)
+    this._setNoResponse()
+    this._updateStatusFault()
+    /** Emitted when the accessory becomes unreachable.
+      * @event AccessoryDelegate#unreachable
+      * @param {Error} error - The last error reported.
+      */
+    this.emit('unreachable', error)
+  }
+
+  /** Report successful communication with the device.
+    *
+    * When the accessory was unreachable, it becomes reachable again:
+    * `Characteristic.hap.StatusFault` is cleared, unless the accessory is
+    * {@link AccessoryDelegate#faulty faulty}, and
+    * {@link AccessoryDelegate#event:reachable reachable} is emitted.
+    * Successful polls, see {@link AccessoryDelegate#addPoll addPoll()}, are
+    * reported automatically.
+    */
+  reportSuccess () {
+    this._errors = 0
+    if (this._reachable) {
+      return
+    }
+    this._reachable = true
+    this.log('reachable')
+    this._setNoResponse()
+    this._updateStatusFault()
+    /** Emitted when the accessory becomes reachable again.
+      * @event AccessoryDelegate#reachable
+      */
+    this.emit('reachable')
+  }
+
+  // Remove the services and characteristics of the associated accessory,
+  // that aren't claimed by a delegate.  Return the number removed.
+  _removeOrphans () {
+    let n = 0
+    for (const service of this._accessory.services.slice()) {
+      const id = service.subtype
+        ? [service.UUID, service.subtype].join('.')
+        : service.UUID
+      const serviceDelegate = this._serviceDelegates[id]
+      if (serviceDelegate == null || serviceDelegate._service !== service) {
+        this.debug(
+          'remove orphaned service %s (%s)', service.displayName, id
+        )
+        this._accessory.removeService(service)
+        delete this._accessory.context[id]
+        if (this._accessory.context.contextVersions != null) {
+          delete this._accessory.context.contextVersions[id]
+        }
+        n++
+        continue
+      }
+      n += serviceDelegate._removeOrphans()
+    }
+    return n
+  }
+
+  // Whether HomeKit reads should fail.
+  get _noResponse () {
+    return !this._reachable && this._noResponseWhenUnreachable
+  }
+
+  // Start or stop failing HomeKit reads, after a change in reachability.
+  _setNoResponse () {
+    for (const id in this._serviceDelegates) {
+      const serviceDelegate = this._serviceDelegates[id]
+      for (const key in serviceDelegate._characteristicDelegates) {
+        serviceDelegate._characteristicDelegates[key]._setNoResponse(
+          serviceDelegate._noResponse
+        )
+      }
+    }
+  }
+
+  // Set StatusFault on the services that support it, while the accessory is
+  // unreachable or faulty, and clear it otherwise.
+  _updateStatusFault () {
+    const StatusFault = this.Characteristic.hap.StatusFault
+    const fault = !this._reachable || this._faulty
+    const value = fault ? 1 : 0
+    for (const id in this._serviceDelegates) {
+      const serviceDelegate = this._serviceDelegates[id]
+      const service = serviceDelegate._service
+      if (serviceDelegate.characteristicDelegate('statusFault') == null) {
+        if (!fault || !service.optionalCharacteristics.some((c) => {
+          return c.UUID === StatusFault.UUID
+        })) {
+          continue
+        }
+        serviceDelegate._addCharacteristicDelegate({
+          key: 'statusFault', Characteristic: StatusFault
+        })
+      }
+      serviceDelegate.values.statusFault = value
+    }
+  }
+
   /** Plugin-specific context to be persisted across Homebridge restarts.
     *
     * After restart, this object is passed back to the plugin through the
@@ -96,6 +546,23 @@ class AccessoryDelegate extends homebridgeLib.Delegate {
     this.debug('context: %j', this._context)
     callback()
   }
+
+  // Wrap the callback of a HomeKit get or set request, to collect
+  // statistics.
+  _statsCallback (type, callback) {
+    const stats = this._requestStats[type]
+    const start = Date.now()
+    return (error, ...args) => {
+      const duration = Date.now() - start
+      stats.count++
+      if (error != null) {
+        stats.errors++
+      }
+      stats.time += duration
+      stats.max = Math.max(stats.max, duration)
+      callback(error, ...args)
+    }
+  }
 }
 
 module.exports = AccessoryDelegate
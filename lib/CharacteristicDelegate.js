@@ -7,11 +7,70 @@
 
 const homebridgeLib = require('../index')
 
+// Range of the HAP integer formats.
+const integerRanges = {
+  int: [-2147483648, 2147483647],
+  uint8: [0, 255],
+  uint16: [0, 65535],
+  uint32: [0, 4294967295],
+  uint64: [0, Number.MAX_SAFE_INTEGER]
+}
+
+// Return the number of decimals in a step.
+function decimals (step) {
+  const s = step.toString()
+  const index = s.indexOf('.')
+  return index === -1 ? 0 : s.length - index - 1
+}
+
+// Built-in converters between device units and HomeKit units.
+const converters = {
+  fahrenheit: {
+    toHomeKit: (value) => Math.round((value - 32) * 50 / 9) / 10,
+    fromHomeKit: (value) => Math.round((value * 9 / 5 + 32) * 10) / 10
+  },
+  hundredths: {
+    toHomeKit: (value) => value / 100,
+    fromHomeKit: (value) => Math.round(value * 100)
+  },
+  kelvin: {
+    toHomeKit: (value) => Math.round(1000000 / value),
+    fromHomeKit: (value) => Math.round(1000000 / value)
+  },
+  percent254: {
+    toHomeKit: (value) => Math.round(value * 100 / 254),
+    fromHomeKit: (value) => Math.round(value * 254 / 100)
+  },
+  percent255: {
+    toHomeKit: (value) => Math.round(value * 100 / 255),
+    fromHomeKit: (value) => Math.round(value * 255 / 100)
+  },
+  tenths: {
+    toHomeKit: (value) => value / 10,
+    fromHomeKit: (value) => Math.round(value * 10)
+  }
+}
+
 /** Class for a HomeKit characteristic delegate.
   *
   * @extends Delegate
   */
 class CharacteristicDelegate extends homebridgeLib.Delegate {
+  /** Built-in converters between device units and HomeKit units.
+    *
+    * Each converter is an object with a `toHomeKit` and a `fromHomeKit`
+    * function:
+    * - `fahrenheit`: temperature in °F to °C;
+    * - `hundredths`: hundredths, e.g. of a degree, to units;
+    * - `kelvin`: colour temperature in kelvin to mired;
+    * - `percent254`: 0-254 value, e.g. brightness, to percentage;
+    * - `percent255`: 0-255 value to percentage;
+    * - `tenths`: tenths to units.
+    * @type {object}
+    * @readonly
+    */
+  static get converters () { return converters }
+
   /** Create a new instance of a HomeKit chracteristic delegate.
     *
     * @param {!ServiceDelegate} serviceDelegate - Reference to the corresponding
@@ -30,6 +89,65 @@ class CharacteristicDelegate extends homebridgeLib.Delegate {
     * HomeKit reads the characteristic value.<br>
     * This must be an `async` function returning a `Promise` to the
     * characteristic value.
+    * @param {?function} params.setter - Function to invoke when HomeKit
+    * writes the characteristic value.<br>
+    * This must be an `async` function taking the new value, which throws an
+    * error when the device rejects the change.
+    * HomeKit is informed of the result, reporting
+    * `SERVICE_COMMUNICATION_FAILURE` on error.
+    * @param {?integer} [params.timeout=1000] - Timeout in milliseconds for
+    * `params.getter` and `params.setter`.<br>
+    * On timeout, the getter returns the previous value, and the setter
+    * assumes success, rolling back the value when the device rejects the
+    * change later.
+    * @param {?integer} params.debounce - Time window in milliseconds to
+    * coalesce HomeKit writes.<br>
+    * When set, HomeKit writes are collected from the first write until the
+    * window closes, and only the last value is passed to `params.setter`
+    * and {@link CharacteristicDelegate#event:didSet didSet}.
+    * The HomeKit writes complete with the result of the last value.
+    * Use this for sliders, like _Brightness_ or _Volume_.
+    * @param {?string} [params.valuePolicy=none] - How to handle values set
+    * by the plugin, that don't match the characteristic's `format`,
+    * `minValue`, `maxValue`, `minStep`, or `validValues`:
+    * - `none`: pass the value as-is;
+    * - `clamp`: convert the value to the format, clamp it to the range,
+    * and round it to the step;
+    * - `reject`: convert the value to the format, and throw a `RangeError`
+    * for a value outside the range or between steps.
+    *
+    * Values returned by `params.getter` that are rejected, are reported as
+    * an error of the device, rather than a fault of the plugin.
+    *
+    * A `TypeError` is thrown for a value that cannot be converted, and a
+    * `RangeError` for a value not in `validValues`, unless the policy is
+    * `none`.
+    * @param {?string} params.converter - The name of a built-in converter
+    * from {@link CharacteristicDelegate.converters converters}, to use for
+    * `params.toHomeKit` and `params.fromHomeKit`.
+    * @param {?function} params.toHomeKit - Function to convert a value in
+    * device units to the HomeKit value.<br>
+    * When set, the plugin uses device units for
+    * {@link CharacteristicDelegate#value value}, `params.value`,
+    * `params.getter`, `params.setter`, and
+    * {@link CharacteristicDelegate#event:didSet didSet}.
+    * The value policy applies to the converted value.
+    * @param {?function} params.fromHomeKit - Function to convert a HomeKit
+    * value to device units.<br>
+    * Required with `params.toHomeKit`.
+    * @param {?object} params.logPolicy - How to log value changes by the
+    * plugin or the getter.<br>
+    * Defaults to the log policy of the service delegate, and can be
+    * overridden by `logPolicies` in `config.json`, see
+    * {@link Platform.configDefinition configDefinition}.
+    * Changes from HomeKit are always logged.
+    * @param {?string} [params.logPolicy.level=log] - `log` to log changes
+    * normally, `debug` to log changes only in debug mode, or `silent` not to
+    * log changes at all.
+    * @param {?number} params.logPolicy.threshold - Log changes smaller than
+    * `threshold` only in debug mode.
+    * @param {?integer} params.logPolicy.rate - Log at most `rate` changes per
+    * minute, logging the others only in debug mode.
     */
   constructor (serviceDelegate, params = {}) {
     if (!(serviceDelegate instanceof homebridgeLib.ServiceDelegate)) {
@@ -55,9 +173,15 @@ class CharacteristicDelegate extends homebridgeLib.Delegate {
 
     // Get or create associated Characteristic.
     const Characteristic = params.Characteristic
-    this._serviceDelegate._service.addOptionalCharacteristic(Characteristic)
-    this._characteristic = this._serviceDelegate._service
-      .getCharacteristic(Characteristic)
+    const service = this._serviceDelegate._service
+    service.addOptionalCharacteristic(Characteristic)
+    if (service.testCharacteristic(Characteristic)) {
+      this._characteristic = service.getCharacteristic(Characteristic)
+    } else {
+      this._characteristic = this._platform._addCharacteristic(
+        this._serviceDelegate, new Characteristic()
+      )
+    }
     if (params.props != null) {
       this._characteristic.setProps(params.props)
     }
@@ -68,9 +192,68 @@ class CharacteristicDelegate extends homebridgeLib.Delegate {
     } else {
       this._unit = ''
     }
+    this._logPolicy = Object.assign(
+      {}, serviceDelegate._logPolicy, params.logPolicy,
+      this._platform._logPolicy(
+        serviceDelegate.name, this._characteristic.displayName
+      )
+    )
+    if (this._logPolicy.level == null) {
+      this._logPolicy.level = 'log'
+    }
+    if (!['log', 'debug', 'silent'].includes(this._logPolicy.level)) {
+      throw new RangeError(
+        `params.logPolicy.level: ${this._logPolicy.level}: invalid log level`
+      )
+    }
+    this._logTimes = []
     if (params.getter != null && typeof params.getter === 'function') {
       this._getter = params.getter
+    }
+    if (params.setter != null && typeof params.setter === 'function') {
+      this._setter = params.setter
+    }
+    this._timeout = params.timeout == null ? 1000 : params.timeout
+    this._debounce = params.debounce
+    if (this._debounce != null) {
+      this.addShutdownHandler(() => {
+        return this._flushPending()
+      }, 'flush pending set')
+    }
+    this._valuePolicy = params.valuePolicy == null ? 'none' : params.valuePolicy
+    if (!['clamp', 'reject', 'none'].includes(this._valuePolicy)) {
+      throw new RangeError(
+        `params.valuePolicy: ${params.valuePolicy}: invalid value policy`
+      )
+    }
+    if (params.converter != null) {
+      const converter = converters[params.converter]
+      if (converter == null) {
+        throw new RangeError(
+          `params.converter: ${params.converter}: invalid converter`
+        )
+      }
+      this._toHomeKit = converter.toHomeKit
+      this._fromHomeKit = converter.fromHomeKit
+    } else if (params.toHomeKit != null || params.fromHomeKit != null) {
+      if (typeof params.toHomeKit !== 'function') {
+        throw new TypeError(
+          `params.toHomeKit: ${params.toHomeKit}: not a function`
+        )
+      }
+      if (typeof params.fromHomeKit !== 'function') {
+        throw new TypeError(
+          `params.fromHomeKit: ${params.fromHomeKit}: not a function`
+        )
+      }
+      this._toHomeKit = params.toHomeKit
+      this._fromHomeKit = params.fromHomeKit
+    }
+    if (this._getter != null) {
       this._characteristic.on('get', this._onGet.bind(this))
+    } else {
+      this._noResponseListener = this._onGetNoResponse.bind(this)
+      this._setNoResponse(this._serviceDelegate._noResponse)
     }
     if (this._canWrite) {
       this._characteristic.on('set', this._onSet.bind(this))
@@ -82,6 +265,46 @@ class CharacteristicDelegate extends homebridgeLib.Delegate {
     }
   }
 
+  // Remove the listeners, when the service delegate is removed.
+  _remove () {
+    this._cancelPending()
+    this._characteristic.removeAllListeners('get')
+    this._characteristic.removeAllListeners('set')
+    this.removeAllListeners()
+    this._platform._removeShutdownHandlers(this)
+  }
+
+  // Drop a pending (debounced) update from HomeKit, failing the writes.
+  _cancelPending () {
+    if (this._pending != null) {
+      const pending = this._pending
+      clearTimeout(pending.timer)
+      this._pending = null
+      const error = this._communicationFailure(new Error('service removed'))
+      for (const callback of pending.callbacks) {
+        callback(error)
+      }
+    }
+  }
+
+  // Send a pending (debounced) update from HomeKit to the device.
+  async _flushPending () {
+    if (this._pending != null) {
+      const pending = this._pending
+      clearTimeout(pending.timer)
+      this._pending = null
+      try {
+        await this._set(pending.value, (error) => {
+          for (const callback of pending.callbacks) {
+            callback(error)
+          }
+        })
+      } catch (error) {
+        this._platform._fault(this, error)
+      }
+    }
+  }
+
   get _canRead () {
     return this._characteristic.props.perms.includes(
       this.Characteristic.hap.Perms.READ
@@ -109,6 +332,17 @@ class CharacteristicDelegate extends homebridgeLib.Delegate {
     // return this._canNotify && !this._canRead && !this._canWrite
   }
 
+  get _subsystem () {
+    return this._serviceDelegate._subsystem
+  }
+
+  get _logFields () {
+    return Object.assign({}, this._serviceDelegate._logFields, {
+      characteristic: this._characteristic.displayName,
+      key: this._key
+    }, this._change)
+  }
+
   /**
    * Value of associated Characteristic.
    */
@@ -116,6 +350,11 @@ class CharacteristicDelegate extends homebridgeLib.Delegate {
     return this._serviceDelegate._context[this._key]
   }
   set value (value) {
+    const homeKitValue = this._homeKitValue(value)
+    if (this._toHomeKit == null) {
+      value = homeKitValue
+    }
+
     // Check for actual change.
     if (value === this.value && !this._notifyOnly) {
       return
@@ -123,14 +362,15 @@ class CharacteristicDelegate extends homebridgeLib.Delegate {
 
     // Issue info message that Characteristic value is updated by the plugin.
     if (this._notifyOnly || this.value == null) {
-      this.log(
-        'set %s to %s%s', this._characteristic.displayName,
-        value, this._unit
+      this._logChange(
+        null, value, 'set %s to %s', this._characteristic.displayName,
+        this._format(value, homeKitValue)
       )
-    } else /* if (this._characteristic.UUID !== this.Characteristic.my.LastUpdated.UUID) */ {
-      this.log(
-        'set %s from %s%s to %s%s', this._characteristic.displayName,
-        this.value, this._unit, value, this._unit
+    } else {
+      this._logChange(
+        this.value, value, 'set %s from %s to %s',
+        this._characteristic.displayName,
+        this._format(this.value), this._format(value, homeKitValue)
       )
     }
 
@@ -138,7 +378,7 @@ class CharacteristicDelegate extends homebridgeLib.Delegate {
     this._serviceDelegate._context[this._key] = value
 
     // Update value of associated Characteristic.
-    this._characteristic.updateValue(value)
+    this._characteristic.updateValue(homeKitValue)
 
     /** Emitted when Homebridge characteristic value has changed, either from
       * HomeKit or by the plugin.
@@ -152,67 +392,346 @@ class CharacteristicDelegate extends homebridgeLib.Delegate {
     this.emit('didSet', value, false)
   }
 
+  // Issue a message for a value change, applying the log policy.
+  _logChange (oldValue, value, format, ...args) {
+    const policy = this._logPolicy
+    if (policy.level === 'silent') {
+      return
+    }
+    // Include the values in structured log records.
+    this._change = { oldValue: oldValue, newValue: value }
+    if (
+      policy.level === 'debug' ||
+      this._belowThreshold(oldValue, value) ||
+      this._rateExceeded()
+    ) {
+      this.debug(format, ...args)
+    } else {
+      this.log(format, ...args)
+    }
+    delete this._change
+  }
+
+  // Check whether a change is smaller than the log policy threshold.
+  _belowThreshold (oldValue, value) {
+    return this._logPolicy.threshold != null &&
+      typeof oldValue === 'number' && typeof value === 'number' &&
+      Math.abs(value - oldValue) < this._logPolicy.threshold
+  }
+
+  // Check whether the log policy rate has been reached in the past minute,
+  // registering a new message when it hasn't.
+  _rateExceeded () {
+    if (this._logPolicy.rate == null) {
+      return false
+    }
+    const now = Date.now()
+    this._logTimes = this._logTimes.filter((time) => time > now - 60000)
+    if (this._logTimes.length >= this._logPolicy.rate) {
+      return true
+    }
+    this._logTimes.push(now)
+    return false
+  }
+
+  // Convert a value in device units to the HomeKit value, applying the
+  // value policy.
+  _homeKitValue (value) {
+    return this._applyValuePolicy(this._toHomeKitValue(value))
+  }
+
+  // Convert a value in device units to HomeKit units.
+  _toHomeKitValue (value) {
+    if (value == null || this._toHomeKit == null) {
+      return value
+    }
+    return this._toHomeKit(value)
+  }
+
+  // Apply the value policy to a value in HomeKit units.
+  _applyValuePolicy (value) {
+    if (value == null || this._valuePolicy === 'none') {
+      return value
+    }
+    return this._checkValue(value)
+  }
+
+  // Format a value for a log message, showing both the device and the
+  // HomeKit representation when a converter is used.
+  _format (value, homeKitValue) {
+    if (this._toHomeKit == null || value == null) {
+      return `${value}${this._unit}`
+    }
+    if (homeKitValue === undefined) {
+      homeKitValue = this._toHomeKit(value)
+    }
+    return `${value} (${homeKitValue}${this._unit})`
+  }
+
+  // Check the value against the characteristic props, returning the value
+  // converted, clamped, and rounded, depending on the value policy.
+  _checkValue (value) {
+    const props = this._characteristic.props
+    const displayName = this._characteristic.displayName
+    const reject = this._valuePolicy === 'reject'
+    let result
+    try {
+      switch (props.format) {
+        case 'bool':
+          result = homebridgeLib.TypeParser.toBoolean(value)
+          break
+        case 'int':
+        case 'uint8':
+        case 'uint16':
+        case 'uint32':
+        case 'uint64':
+        case 'float':
+          result = this._checkNumber(value, props, reject)
+          break
+        case 'string':
+          result = homebridgeLib.TypeParser.toString(value)
+          break
+        default:
+          return value
+      }
+      if (props.validValues != null && !props.validValues.includes(result)) {
+        throw new RangeError(`invalid value: not in ${props.validValues}`)
+      }
+    } catch (error) {
+      throw new error.constructor(`${displayName}: ${value}: ${error.message}`)
+    }
+    if (result !== value) {
+      this.debug('%s: %j: set to %j', displayName, value, result)
+    }
+    return result
+  }
+
+  // Check a numeric value against the characteristic props.
+  _checkNumber (value, props, reject) {
+    const isInteger = props.format !== 'float'
+    const range = integerRanges[props.format] || []
+    const options = {
+      minimumValue: props.minValue == null ? range[0] : props.minValue,
+      maximumValue: props.maxValue == null ? range[1] : props.maxValue,
+      strictRange: reject
+    }
+    value = homebridgeLib.TypeParser.toNumber(value, options)
+    const step = props.minStep == null ? (isInteger ? 1 : null) : props.minStep
+    if (step == null) {
+      return value
+    }
+    const base = options.minimumValue == null ? 0 : options.minimumValue
+    const steps = (value - base) / step
+    const rounded = Number(
+      (base + Math.round(steps) * step).toFixed(decimals(step))
+    )
+    if (reject && Math.abs(rounded - value) > step * 1e-6) {
+      throw new RangeError(`invalid value: not a multiple of ${step}`)
+    }
+    return homebridgeLib.TypeParser.toNumber(rounded, options)
+  }
+
+  // Return an error for HomeKit, with status SERVICE_COMMUNICATION_FAILURE.
+  _communicationFailure (error) {
+    const hapError = new Error(error.message)
+    hapError.status = this._platform._homebridge.hap.HAPServer.Status
+      .SERVICE_COMMUNICATION_FAILURE
+    return hapError
+  }
+
   // Called when characteristic is updated from HomeKit.
   _onSet (value, callback) {
-    // Check for actual change.
-    if (value === this.value && !this._writeOnly) {
-      return callback()
+    callback = this._serviceDelegate._accessoryDelegate._statsCallback(
+      'set', callback
+    )
+    if (this._debounce == null) {
+      this._set(value, callback).catch((error) => {
+        this._platform._fault(this, error)
+      })
+      return
     }
-
-    // Issue info message that Characteristic value was updated from HomeKit.
-    if (this._writeOnly || this.value == null) {
-      this.log(
-        '%s changed to %s%s', this._characteristic.displayName,
-        value, this._unit
-      )
+    if (this._pending == null) {
+      this._pending = { callbacks: [] }
+      this._pending.timer = setTimeout(() => {
+        this._flushPending()
+      }, this._debounce)
     } else {
-      this.log(
-        '%s changed from %s%s to %s%s', this._characteristic.displayName,
-        this.value, this._unit, value, this._unit
+      this.debug(
+        'set %s: coalesce %s%s', this._characteristic.displayName,
+        this._pending.value, this._unit
       )
     }
+    this._pending.value = value
+    this._pending.callbacks.push(callback)
+  }
 
-    // Update persisted value in ~/.homebridge/accessories/cachedAccessories.
-    this._serviceDelegate._context[this._key] = value
+  // Handle a (coalesced) update from HomeKit.
+  async _set (homeKitValue, callback) {
+    const oldValue = this.value
+    let value
+    let converted = false
+    let timeout
+    let timedOut = false
+    try {
+      value = this._fromHomeKit == null
+        ? homeKitValue
+        : this._fromHomeKit(homeKitValue)
+
+      // Check for actual change.
+      if (value === oldValue && !this._writeOnly) {
+        return callback()
+      }
+
+      // Issue info message that Characteristic value was updated from HomeKit.
+      this._change = { oldValue: oldValue, newValue: value }
+      if (this._writeOnly || oldValue == null) {
+        this.log(
+          '%s changed to %s', this._characteristic.displayName,
+          this._format(value, homeKitValue)
+        )
+      } else {
+        this.log(
+          '%s changed from %s to %s', this._characteristic.displayName,
+          this._format(oldValue), this._format(value, homeKitValue)
+        )
+      }
+      delete this._change
+      converted = true
 
-    // Inform service delegate.
-    this.emit('didSet', value, true)
+      if (this._setter == null) {
+        // Update persisted value in ~/.homebridge/accessories/cachedAccessories.
+        this._serviceDelegate._context[this._key] = value
 
-    // Return status to HomeKit.
-    return callback()
+        // Inform service delegate.
+        this.emit('didSet', value, true)
+
+        // Return status to HomeKit.
+        return callback()
+      }
+
+      // Wait for the device to accept the change.
+      timeout = setTimeout(() => {
+        timedOut = true
+        this._serviceDelegate._accessoryDelegate._requestStats.set.timeouts++
+        this.warn(
+          'set %s: timeout - assume %s', this._characteristic.displayName,
+          this._format(value, homeKitValue)
+        )
+        this._serviceDelegate._context[this._key] = value
+        callback()
+      }, this._timeout)
+      await this._setter(value)
+      if (!timedOut) {
+        clearTimeout(timeout)
+        this._serviceDelegate._context[this._key] = value
+      }
+      this.emit('didSet', value, true)
+      if (!timedOut) {
+        callback()
+      }
+    } catch (error) {
+      delete this._change
+      if (!converted || this._platform._isProgrammingError(error)) {
+        this._platform._fault(this, error)
+      } else {
+        this.error(
+          'set %s: %s', this._characteristic.displayName, error.message
+        )
+      }
+      if (timedOut) {
+        // Roll back the value, assumed on timeout.
+        this.log(
+          'set %s: roll back to %s', this._characteristic.displayName,
+          this._format(oldValue)
+        )
+        this._serviceDelegate._context[this._key] = oldValue
+        this._characteristic.updateValue(this._homeKitValue(oldValue))
+        return
+      }
+      clearTimeout(timeout)
+      callback(this._communicationFailure(error))
+    }
+  }
+
+  // Fail HomeKit reads while the accessory is unreachable, ahead of any other
+  // get listeners, e.g. of the History service.
+  // With a getter, _onGet() checks this itself.
+  _setNoResponse (noResponse) {
+    if (this._getter != null) {
+      return
+    }
+    this._characteristic.removeListener('get', this._noResponseListener)
+    if (noResponse) {
+      this._characteristic.prependListener('get', this._noResponseListener)
+    }
+  }
+
+  // Called when characteristic is read from HomeKit, while the accessory is
+  // unreachable.
+  _onGetNoResponse (callback) {
+    const accessoryDelegate = this._serviceDelegate._accessoryDelegate
+    callback = accessoryDelegate._statsCallback('get', callback)
+    this.debug(
+      'get %s: no response - accessory unreachable',
+      this._characteristic.displayName
+    )
+    callback(new Error('no response'))
   }
 
   // Called when characteristic is read from HomeKit.
   async _onGet (callback) {
+    const accessoryDelegate = this._serviceDelegate._accessoryDelegate
+    callback = accessoryDelegate._statsCallback('get', callback)
+    if (this._serviceDelegate._noResponse) {
+      this.debug(
+        'get %s: no response - accessory unreachable',
+        this._characteristic.displayName
+      )
+      return callback(new Error('no response'))
+    }
     let timedOut = false
     const timeout = setTimeout(() => {
       timedOut = true
+      accessoryDelegate._requestStats.get.timeouts++
       this.warn(
-        'get %s: timeout - return previous value %s%s',
-        this._characteristic.displayName, this.value, this._unit
+        'get %s: timeout - return previous value %s',
+        this._characteristic.displayName, this._format(this.value)
       )
-      callback(null, this.value)
-    }, 1000)
+      callback(null, this._characteristic.value)
+    }, this._timeout)
     try {
       const value = await this._getter()
       if (timedOut) {
         this.log(
-          'get %s: ignore %s%s - timed out', this._characteristic.displayName,
-          value, this._unit
+          'get %s: ignore %s - timed out', this._characteristic.displayName,
+          this._format(value)
         )
         return
       }
       clearTimeout(timeout)
-      this.log(
-        'get %s return %s%s', this._characteristic.displayName, value, this._unit
+      let homeKitValue
+      try {
+        homeKitValue = this._applyValuePolicy(this._toHomeKitValue(value))
+      } catch (error) {
+        // The device returned an invalid value: not a fault of the plugin.
+        this.error('get %s', error.message)
+        return callback(this._communicationFailure(error))
+      }
+      this._logChange(
+        this.value, value, 'get %s return %s',
+        this._characteristic.displayName, this._format(value, homeKitValue)
       )
       if (value !== this.value) {
         this._serviceDelegate._context[this._key] = value
         this.emit('didSet', value)
       }
-      callback(null, value)
+      callback(null, homeKitValue)
     } catch (error) {
-      this.error(error)
+      if (this._platform._isProgrammingError(error)) {
+        this._platform._fault(this, error)
+      } else {
+        this.error(error)
+      }
       if (timedOut) {
         return
       }
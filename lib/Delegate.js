@@ -116,6 +116,16 @@ class Delegate extends events.EventEmitter {
     return this.constructor.name
   }
 
+  // The library subsystem of the delegate, for log levels.
+  get _subsystem () {
+    return null
+  }
+
+  // Fields identifying the delegate in structured log records.
+  get _logFields () {
+    return {}
+  }
+
   /** Print a debug message to Homebridge standard output, when Homebridge was
     * started with the `-D` or `--debug` command line option.
     * @param {string|Error} format - The printf-style message or an instance of
@@ -123,19 +133,55 @@ class Delegate extends events.EventEmitter {
     * @param {...string} args - Arguments to the printf-style message.
     */
   debug (format, ...args) {
-    this._platform._message('debug', this._namePrefix, format, ...args)
+    this._platform._message('debug', this, format, ...args)
+  }
+
+  /** Register a handler to cleanup when Homebridge is shutting down.
+    *
+    * Unlike listeners to the `shutdown` event, the platform awaits the
+    * handlers, up to {@link Platform.shutdownTimeout shutdownTimeout},
+    * reporting the handlers that didn't finish in time.
+    * @param {!function} handler - The handler.<br>
+    * This must be an `async` function, e.g. to close connections or to
+    * flush persistent storage.
+    * @param {?string} [name=handler.name] - The name of the handler, used in
+    * log messages.
+    */
+  addShutdownHandler (handler, name = handler.name || 'handler') {
+    if (typeof handler !== 'function') {
+      throw new TypeError(`handler: ${handler}: not a function`)
+    }
+    this._platform._addShutdownHandler(this, name, handler)
   }
 
   /** Safely emit an event, catching any errors.
+    *
+    * Errors thrown by the listeners, and rejections by `async` listeners,
+    * are reported as fault of the delegate's accessory, see
+    * {@link AccessoryDelegate#event:fault fault}.
+    * An `error` event without listeners is logged as error.
     * @param {!string} eventName - The name of the event.
     * @param {...string} args - Arguments to the event.
+    * @return {boolean} Whether the event had listeners.
     */
   emit (eventName, ...args) {
-    try {
-      super.emit(eventName, ...args)
-    } catch (error) {
-      this.error(error)
+    const listeners = this.rawListeners(eventName)
+    if (eventName === 'error' && listeners.length === 0) {
+      // Unhandled error event, which EventEmitter would throw.
+      this.error(args[0] == null ? 'unhandled error event' : args[0])
+      return false
+    }
+    for (const listener of listeners) {
+      try {
+        const result = listener.apply(this, args)
+        if (result != null && typeof result.then === 'function') {
+          result.then(null, (error) => { this._platform._fault(this, error) })
+        }
+      } catch (error) {
+        this._platform._fault(this, error)
+      }
     }
+    return listeners.length > 0
   }
 
   /** Print an error message to Homebridge standard error output.
@@ -144,7 +190,7 @@ class Delegate extends events.EventEmitter {
     * @param {...string} args - Arguments to the printf-style message.
     */
   error (format, ...args) {
-    this._platform._message('error', this._namePrefix, format, ...args)
+    this._platform._message('error', this, format, ...args)
   }
 
   /** Print an error message to Homebridge standard error output and shutdown
@@ -154,7 +200,7 @@ class Delegate extends events.EventEmitter {
     * @param {...string} args - Arguments to the printf-style message.
     */
   fatal (format, ...args) {
-    this._platform._message('fatal', this._namePrefix, format, ...args)
+    this._platform._message('fatal', this, format, ...args)
     if (!this._platform._shuttingDown) {
       process.kill(process.pid, 'SIGTERM')
     }
@@ -166,7 +212,7 @@ class Delegate extends events.EventEmitter {
     * @param {...string} args - Arguments to the printf-style message.
     */
   log (format, ...args) {
-    this._platform._message('log', this._namePrefix, format, ...args)
+    this._platform._message('log', this, format, ...args)
   }
 
   /** Print a warning message to Homebridge standard error output.
@@ -175,7 +221,7 @@ class Delegate extends events.EventEmitter {
     * @param {...string} args - Arguments to the printf-style message.
     */
   warn (format, ...args) {
-    this._platform._message('warning', this._namePrefix, format, ...args)
+    this._platform._message('warning', this, format, ...args)
   }
 }
 
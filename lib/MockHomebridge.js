@@ -0,0 +1,974 @@
+// homebridge-lib/lib/MockHomebridge.js
+//
+// Library for Homebridge plugins.
+// Copyright © 2017-2019 Erik Baauw. All rights reserved.
+//
+// In-process stand-in for Homebridge and HAP-NodeJS, for testing plugins.
+
+'use strict'
+
+const crypto = require('crypto')
+const events = require('events')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const util = require('util')
+
+// ===== HAP-NodeJS Stand-ins ==================================================
+
+// Note that Characteristic and Service are defined as old-style constructor
+// functions, like in HAP-NodeJS, as CustomHomeKitTypes calls them through
+// hap.Characteristic.call() and hap.Service.call().
+
+const Formats = Object.freeze({
+  BOOL: 'bool',
+  INT: 'int',
+  FLOAT: 'float',
+  STRING: 'string',
+  UINT8: 'uint8',
+  UINT16: 'uint16',
+  UINT32: 'uint32',
+  UINT64: 'uint64',
+  DATA: 'data',
+  TLV8: 'tlv8',
+  ARRAY: 'array',
+  DICTIONARY: 'dict'
+})
+
+const Units = Object.freeze({
+  CELSIUS: 'celsius',
+  PERCENTAGE: 'percentage',
+  ARC_DEGREE: 'arcdegrees',
+  LUX: 'lux',
+  SECONDS: 'seconds'
+})
+
+const Perms = Object.freeze({
+  READ: 'pr',
+  WRITE: 'pw',
+  NOTIFY: 'ev',
+  ADDITIONAL_AUTHORIZATION: 'aa',
+  TIMED_WRITE: 'tw',
+  HIDDEN: 'hd',
+  WRITE_RESPONSE: 'wr'
+})
+
+const Status = Object.freeze({
+  SUCCESS: 0,
+  INSUFFICIENT_PRIVILEGES: -70401,
+  SERVICE_COMMUNICATION_FAILURE: -70402,
+  RESOURCE_BUSY: -70403,
+  READ_ONLY_CHARACTERISTIC: -70404,
+  WRITE_ONLY_CHARACTERISTIC: -70405,
+  NOTIFICATION_NOT_SUPPORTED: -70406,
+  OUT_OF_RESOURCE: -70407,
+  OPERATION_TIMED_OUT: -70408,
+  RESOURCE_DOES_NOT_EXIST: -70409,
+  INVALID_VALUE_IN_REQUEST: -70410
+})
+
+const Categories = Object.freeze({
+  OTHER: 1,
+  BRIDGE: 2,
+  FAN: 3,
+  GARAGE_DOOR_OPENER: 4,
+  LIGHTBULB: 5,
+  DOOR_LOCK: 6,
+  OUTLET: 7,
+  SWITCH: 8,
+  THERMOSTAT: 9,
+  SENSOR: 10,
+  SECURITY_SYSTEM: 11,
+  DOOR: 12,
+  WINDOW: 13,
+  WINDOW_COVERING: 14,
+  PROGRAMMABLE_SWITCH: 15,
+  RANGE_EXTENDER: 16,
+  CAMERA: 17,
+  VIDEO_DOORBELL: 18,
+  AIR_PURIFIER: 19,
+  AIR_HEATER: 20,
+  AIR_CONDITIONER: 21,
+  AIR_HUMIDIFIER: 22,
+  AIR_DEHUMIDIFIER: 23,
+  APPLE_TV: 24,
+  SPEAKER: 26,
+  AIRPORT: 27,
+  SPRINKLER: 28,
+  FAUCET: 29,
+  SHOWER_HEAD: 30,
+  TELEVISION: 31,
+  TARGET_CONTROLLER: 32
+})
+
+// Return HAP long UUID for short id.
+function hapUuid (id) {
+  return ('00000000' + id).slice(-8) + '-0000-1000-8000-0026BB765291'
+}
+
+// Generate a UUID from a string, like HAP-NodeJS' uuid.generate().
+function generate (data) {
+  const s = crypto.createHash('sha1').update(data).digest('hex')
+  let i = -1
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    i += 1
+    return c === 'x'
+      ? s[i]
+      : ((parseInt('0x' + s[i], 16) & 0x3) | 0x8).toString(16)
+  })
+}
+
+function Characteristic (displayName, UUID, props) {
+  events.EventEmitter.call(this)
+  this.displayName = displayName
+  this.UUID = UUID
+  this.iid = null
+  this.value = null
+  this.eventOnlyCharacteristic = false
+  this.props = props || {
+    format: null,
+    unit: null,
+    minValue: null,
+    maxValue: null,
+    minStep: null,
+    perms: []
+  }
+}
+util.inherits(Characteristic, events.EventEmitter)
+
+Characteristic.Formats = Formats
+Characteristic.Units = Units
+Characteristic.Perms = Perms
+
+Characteristic.prototype.setProps = function (props) {
+  for (const key in props || {}) {
+    this.props[key] = props[key]
+  }
+  return this
+}
+
+Characteristic.prototype.getDefaultValue = function () {
+  switch (this.props.format) {
+    case Formats.BOOL: return false
+    case Formats.STRING: return ''
+    case Formats.DATA: return null
+    case Formats.TLV8: return null
+    case Formats.DICTIONARY: return {}
+    case Formats.ARRAY: return []
+    default: return this.props.minValue || 0
+  }
+}
+
+// Called by HomeKit (i.e. the test) to read the value.
+Characteristic.prototype.getValue = function (callback) {
+  if (this.listeners('get').length === 0) {
+    return callback(null, this.value)
+  }
+  let called = false
+  this.emit('get', (error, value) => {
+    if (called) {
+      return
+    }
+    called = true
+    if (error) {
+      return callback(error)
+    }
+    const oldValue = this.value
+    this.value = value
+    callback(null, value)
+    if (oldValue !== value) {
+      this.emit('change', { oldValue: oldValue, newValue: value })
+    }
+  })
+}
+
+// Called by HomeKit (i.e. the test) to write the value.
+Characteristic.prototype.setValue = function (value, callback = () => {}) {
+  if (this.listeners('set').length === 0) {
+    this.value = value
+    return callback()
+  }
+  let called = false
+  this.emit('set', value, (error) => {
+    if (called) {
+      return
+    }
+    called = true
+    if (error) {
+      return callback(error)
+    }
+    const oldValue = this.value
+    this.value = value == null ? this.getDefaultValue() : value
+    callback()
+    if (oldValue !== this.value) {
+      this.emit('change', { oldValue: oldValue, newValue: this.value })
+    }
+  })
+}
+
+// Called by the plugin to update the value.
+Characteristic.prototype.updateValue = function (value, callback) {
+  const oldValue = this.value
+  this.value = value
+  if (callback != null) {
+    callback()
+  }
+  if (oldValue !== value) {
+    this.emit('change', { oldValue: oldValue, newValue: value })
+  }
+  return this
+}
+
+function Service (displayName, UUID, subtype) {
+  events.EventEmitter.call(this)
+  this.displayName = displayName
+  this.UUID = UUID
+  this.subtype = subtype
+  this.iid = null
+  this.characteristics = []
+  this.optionalCharacteristics = []
+  this.isHiddenService = false
+  this.isPrimaryService = false
+  this.linkedServices = []
+  if (displayName) {
+    const nameCharacteristic = this.getCharacteristic(Characteristic.Name)
+    nameCharacteristic.setValue(displayName)
+  }
+}
+util.inherits(Service, events.EventEmitter)
+
+Service.prototype.addCharacteristic = function (Characteristic, ...args) {
+  const characteristic = typeof Characteristic === 'function'
+    ? new Characteristic(...args)
+    : Characteristic
+  for (const c of this.characteristics) {
+    if (c.UUID === characteristic.UUID) {
+      throw new Error(
+        `${this.displayName}: duplicate characteristic ${characteristic.UUID}`
+      )
+    }
+  }
+  this.characteristics.push(characteristic)
+  this.emit('characteristic-change')
+  return characteristic
+}
+
+Service.prototype.addOptionalCharacteristic = function (Characteristic) {
+  if (!this.optionalCharacteristics.includes(Characteristic)) {
+    this.optionalCharacteristics.push(Characteristic)
+  }
+}
+
+Service.prototype.testCharacteristic = function (name) {
+  for (const c of this.characteristics) {
+    if (
+      (typeof name === 'string' && c.displayName === name) ||
+      (typeof name === 'function' && c.UUID === name.UUID)
+    ) {
+      return true
+    }
+  }
+  return false
+}
+
+Service.prototype.getCharacteristic = function (name) {
+  for (const c of this.characteristics) {
+    if (
+      (typeof name === 'string' && c.displayName === name) ||
+      (typeof name === 'function' && c.UUID === name.UUID)
+    ) {
+      return c
+    }
+  }
+  if (typeof name === 'function') {
+    return this.addCharacteristic(name)
+  }
+}
+
+Service.prototype.setCharacteristic = function (name, value) {
+  this.getCharacteristic(name).setValue(value)
+  return this
+}
+
+Service.prototype.updateCharacteristic = function (name, value) {
+  this.getCharacteristic(name).updateValue(value)
+  return this
+}
+
+Service.prototype.removeCharacteristic = function (characteristic) {
+  const index = this.characteristics.indexOf(characteristic)
+  if (index !== -1) {
+    this.characteristics.splice(index, 1)
+    characteristic.removeAllListeners()
+    this.emit('characteristic-change')
+  }
+}
+
+Service.prototype.setHiddenService = function (isHidden) {
+  this.isHiddenService = isHidden
+  this.emit('service-configurationChange')
+}
+
+Service.prototype.setPrimaryService = function (isPrimary) {
+  this.isPrimaryService = isPrimary
+  this.emit('service-configurationChange')
+}
+
+Service.prototype.addLinkedService = function (service) {
+  if (!this.linkedServices.includes(service)) {
+    this.linkedServices.push(service)
+  }
+  this.emit('service-configurationChange')
+}
+
+Service.prototype.removeLinkedService = function (service) {
+  const index = this.linkedServices.indexOf(service)
+  if (index !== -1) {
+    this.linkedServices.splice(index, 1)
+  }
+  this.emit('service-configurationChange')
+}
+
+// Standard HomeKit characteristics: id, name, props, displayName.
+const r = [Perms.READ]
+const rn = [Perms.READ, Perms.NOTIFY]
+const rwn = [Perms.READ, Perms.WRITE, Perms.NOTIFY]
+const w = [Perms.WRITE]
+const characteristics = [
+  ['08', 'Brightness', { format: Formats.INT, unit: Units.PERCENTAGE, minValue: 0, maxValue: 100, minStep: 1, perms: rwn }],
+  ['0D', 'CoolingThresholdTemperature', { format: Formats.FLOAT, unit: Units.CELSIUS, minValue: 10, maxValue: 35, minStep: 0.1, perms: rwn }, 'Cooling Threshold Temperature'],
+  ['0F', 'CurrentHeatingCoolingState', { format: Formats.UINT8, minValue: 0, maxValue: 2, minStep: 1, perms: rn }, 'Current Heating Cooling State'],
+  ['10', 'CurrentRelativeHumidity', { format: Formats.FLOAT, unit: Units.PERCENTAGE, minValue: 0, maxValue: 100, minStep: 1, perms: rn }, 'Current Relative Humidity'],
+  ['11', 'CurrentTemperature', { format: Formats.FLOAT, unit: Units.CELSIUS, minValue: 0, maxValue: 100, minStep: 0.1, perms: rn }, 'Current Temperature'],
+  ['12', 'HeatingThresholdTemperature', { format: Formats.FLOAT, unit: Units.CELSIUS, minValue: 0, maxValue: 25, minStep: 0.1, perms: rwn }, 'Heating Threshold Temperature'],
+  ['13', 'Hue', { format: Formats.FLOAT, unit: Units.ARC_DEGREE, minValue: 0, maxValue: 360, minStep: 1, perms: rwn }],
+  ['14', 'Identify', { format: Formats.BOOL, perms: w }],
+  ['20', 'Manufacturer', { format: Formats.STRING, perms: r }],
+  ['21', 'Model', { format: Formats.STRING, perms: r }],
+  ['22', 'MotionDetected', { format: Formats.BOOL, perms: rn }, 'Motion Detected'],
+  ['23', 'Name', { format: Formats.STRING, perms: r }],
+  ['24', 'ObstructionDetected', { format: Formats.BOOL, perms: rn }, 'Obstruction Detected'],
+  ['25', 'On', { format: Formats.BOOL, perms: rwn }],
+  ['26', 'OutletInUse', { format: Formats.BOOL, perms: rn }, 'Outlet In Use'],
+  ['2F', 'Saturation', { format: Formats.FLOAT, unit: Units.PERCENTAGE, minValue: 0, maxValue: 100, minStep: 1, perms: rwn }],
+  ['30', 'SerialNumber', { format: Formats.STRING, perms: r }, 'Serial Number'],
+  ['33', 'TargetHeatingCoolingState', { format: Formats.UINT8, minValue: 0, maxValue: 3, minStep: 1, perms: rwn }, 'Target Heating Cooling State'],
+  ['35', 'TargetTemperature', { format: Formats.FLOAT, unit: Units.CELSIUS, minValue: 10, maxValue: 38, minStep: 0.1, perms: rwn }, 'Target Temperature'],
+  ['36', 'TemperatureDisplayUnits', { format: Formats.UINT8, minValue: 0, maxValue: 1, minStep: 1, perms: rwn }, 'Temperature Display Units'],
+  ['52', 'FirmwareRevision', { format: Formats.STRING, perms: r }, 'Firmware Revision'],
+  ['53', 'HardwareRevision', { format: Formats.STRING, perms: r }, 'Hardware Revision'],
+  ['54', 'SoftwareRevision', { format: Formats.STRING, perms: r }, 'Software Revision'],
+  ['68', 'BatteryLevel', { format: Formats.UINT8, unit: Units.PERCENTAGE, minValue: 0, maxValue: 100, minStep: 1, perms: rn }, 'Battery Level'],
+  ['6A', 'ContactSensorState', { format: Formats.UINT8, minValue: 0, maxValue: 1, minStep: 1, perms: rn }, 'Contact Sensor State'],
+  ['6B', 'CurrentAmbientLightLevel', { format: Formats.FLOAT, unit: Units.LUX, minValue: 0.0001, maxValue: 100000, perms: rn }, 'Current Ambient Light Level'],
+  ['6D', 'CurrentPosition', { format: Formats.UINT8, unit: Units.PERCENTAGE, minValue: 0, maxValue: 100, minStep: 1, perms: rn }, 'Current Position'],
+  ['6F', 'HoldPosition', { format: Formats.BOOL, perms: w }, 'Hold Position'],
+  ['72', 'PositionState', { format: Formats.UINT8, minValue: 0, maxValue: 2, minStep: 1, perms: rn }, 'Position State'],
+  ['73', 'ProgrammableSwitchEvent', { format: Formats.UINT8, minValue: 0, maxValue: 2, minStep: 1, perms: rn }, 'Programmable Switch Event'],
+  ['75', 'StatusActive', { format: Formats.BOOL, perms: rn }, 'Status Active'],
+  ['77', 'StatusFault', { format: Formats.UINT8, minValue: 0, maxValue: 1, minStep: 1, perms: rn }, 'Status Fault'],
+  ['79', 'StatusLowBattery', { format: Formats.UINT8, minValue: 0, maxValue: 1, minStep: 1, perms: rn }, 'Status Low Battery'],
+  ['7A', 'StatusTampered', { format: Formats.UINT8, minValue: 0, maxValue: 1, minStep: 1, perms: rn }, 'Status Tampered'],
+  ['7C', 'TargetPosition', { format: Formats.UINT8, unit: Units.PERCENTAGE, minValue: 0, maxValue: 100, minStep: 1, perms: rwn }, 'Target Position'],
+  ['8F', 'ChargingState', { format: Formats.UINT8, minValue: 0, maxValue: 2, minStep: 1, perms: rn }, 'Charging State'],
+  ['B0', 'Active', { format: Formats.UINT8, minValue: 0, maxValue: 1, minStep: 1, perms: rwn }],
+  ['CB', 'ServiceLabelIndex', { format: Formats.UINT8, minValue: 1, maxValue: 255, minStep: 1, perms: r }, 'Service Label Index'],
+  ['CE', 'ColorTemperature', { format: Formats.UINT32, minValue: 140, maxValue: 500, minStep: 1, perms: rwn }, 'Color Temperature'],
+  ['D2', 'InUse', { format: Formats.UINT8, minValue: 0, maxValue: 1, minStep: 1, perms: rn }, 'In Use'],
+  ['D6', 'IsConfigured', { format: Formats.UINT8, minValue: 0, maxValue: 1, minStep: 1, perms: rwn }, 'Is Configured'],
+  ['DB', 'InputSourceType', { format: Formats.UINT8, minValue: 0, maxValue: 10, minStep: 1, perms: rn }, 'Input Source Type'],
+  ['E3', 'ConfiguredName', { format: Formats.STRING, perms: rwn }, 'Configured Name'],
+  ['E6', 'Identifier', { format: Formats.UINT32, minValue: 0, minStep: 1, perms: r }],
+  ['E7', 'ActiveIdentifier', { format: Formats.UINT32, minValue: 0, perms: rwn }, 'Active Identifier'],
+  ['E8', 'SleepDiscoveryMode', { format: Formats.UINT8, minValue: 0, maxValue: 1, perms: rn }, 'Sleep Discovery Mode'],
+  ['119', 'Volume', { format: Formats.UINT8, unit: Units.PERCENTAGE, minValue: 0, maxValue: 100, minStep: 1, perms: rwn }],
+  ['11A', 'Mute', { format: Formats.BOOL, perms: rwn }],
+  ['135', 'CurrentVisibilityState', { format: Formats.UINT8, minValue: 0, maxValue: 3, perms: rn }, 'Current Visibility State']
+]
+for (const [id, name, props, displayName = name] of characteristics) {
+  const UUID = hapUuid(id)
+  Characteristic[name] = function () {
+    Characteristic.call(this, displayName, UUID)
+    this.setProps(Object.assign({}, props))
+    this.value = this.getDefaultValue()
+  }
+  util.inherits(Characteristic[name], Characteristic)
+  Characteristic[name].UUID = UUID
+}
+
+// Standard HomeKit services: id, name, characteristics, optional
+// characteristics.
+const sensorStatus = [
+  'StatusActive', 'StatusFault', 'StatusTampered', 'StatusLowBattery', 'Name'
+]
+const services = [
+  ['3E', 'AccessoryInformation', ['Identify', 'Manufacturer', 'Model', 'Name', 'SerialNumber', 'FirmwareRevision'], ['HardwareRevision', 'SoftwareRevision']],
+  ['43', 'Lightbulb', ['On'], ['Brightness', 'Hue', 'Saturation', 'Name', 'ColorTemperature']],
+  ['47', 'Outlet', ['On', 'OutletInUse'], ['Name']],
+  ['49', 'Switch', ['On'], ['Name']],
+  ['4A', 'Thermostat', ['CurrentHeatingCoolingState', 'TargetHeatingCoolingState', 'CurrentTemperature', 'TargetTemperature', 'TemperatureDisplayUnits'], ['CurrentRelativeHumidity', 'CoolingThresholdTemperature', 'HeatingThresholdTemperature', 'Name']],
+  ['80', 'ContactSensor', ['ContactSensorState'], sensorStatus],
+  ['82', 'HumiditySensor', ['CurrentRelativeHumidity'], sensorStatus],
+  ['84', 'LightSensor', ['CurrentAmbientLightLevel'], sensorStatus],
+  ['85', 'MotionSensor', ['MotionDetected'], sensorStatus],
+  ['89', 'StatelessProgrammableSwitch', ['ProgrammableSwitchEvent'], ['Name', 'ServiceLabelIndex']],
+  ['8A', 'TemperatureSensor', ['CurrentTemperature'], sensorStatus],
+  ['8C', 'WindowCovering', ['CurrentPosition', 'TargetPosition', 'PositionState'], ['HoldPosition', 'ObstructionDetected', 'Name']],
+  ['96', 'BatteryService', ['BatteryLevel', 'ChargingState', 'StatusLowBattery'], ['Name']],
+  ['113', 'Speaker', ['Mute'], ['Name', 'Volume']],
+  ['D8', 'Television', ['Active', 'ActiveIdentifier', 'ConfiguredName', 'SleepDiscoveryMode'], ['Name']],
+  ['D9', 'InputSource', ['ConfiguredName', 'InputSourceType', 'IsConfigured', 'CurrentVisibilityState'], ['Identifier', 'Name']]
+]
+for (const [id, name, required, optional] of services) {
+  const UUID = hapUuid(id)
+  Service[name] = function (displayName, subtype) {
+    Service.call(this, displayName, UUID, subtype)
+    for (const key of required) {
+      if (!this.testCharacteristic(Characteristic[key])) {
+        this.addCharacteristic(Characteristic[key])
+      }
+    }
+    for (const key of optional) {
+      this.addOptionalCharacteristic(Characteristic[key])
+    }
+  }
+  util.inherits(Service[name], Service)
+  Service[name].UUID = UUID
+}
+
+// ===== Homebridge Stand-ins ==================================================
+
+// Stand-in for Homebridge's PlatformAccessory.
+class PlatformAccessory extends events.EventEmitter {
+  constructor (displayName, UUID, category) {
+    super()
+    this.displayName = displayName
+    this.UUID = UUID
+    this.category = category || Categories.OTHER
+    this.services = []
+    this.reachable = true
+    this.context = {}
+    this.addService(Service.AccessoryInformation)
+      .setCharacteristic(Characteristic.Name, displayName)
+  }
+
+  addService (Service, ...args) {
+    const service = typeof Service === 'function'
+      ? new Service(...args)
+      : Service
+    for (const s of this.services) {
+      if (s.UUID === service.UUID && s.subtype === service.subtype) {
+        throw new Error(
+          `${this.displayName}: duplicate service ${service.UUID}`
+        )
+      }
+    }
+    this.services.push(service)
+    return service
+  }
+
+  removeService (service) {
+    const index = this.services.indexOf(service)
+    if (index !== -1) {
+      this.services.splice(index, 1)
+      for (const s of this.services) {
+        s.removeLinkedService(service)
+      }
+      service.removeAllListeners()
+    }
+  }
+
+  getService (name) {
+    for (const s of this.services) {
+      if (
+        (typeof name === 'string' && s.displayName === name) ||
+        (typeof name === 'function' && s.UUID === name.UUID)
+      ) {
+        return s
+      }
+    }
+  }
+
+  getServiceByUUIDAndSubType (UUID, subtype) {
+    if (typeof UUID === 'function') {
+      UUID = UUID.UUID
+    }
+    for (const s of this.services) {
+      if (s.UUID === UUID && s.subtype === subtype) {
+        return s
+      }
+    }
+  }
+
+  updateReachability (reachable) {
+    this.reachable = reachable
+  }
+
+  // Serialise, like Homebridge does when writing cachedAccessories.
+  _dehydrate () {
+    return JSON.parse(JSON.stringify({
+      displayName: this.displayName,
+      UUID: this.UUID,
+      category: this.category,
+      context: this.context,
+      linkedServices: this.services.reduce((result, s) => {
+        const key = s.UUID + (s.subtype || '')
+        result[key] = s.linkedServices.map((l) => l.UUID + (l.subtype || ''))
+        return result
+      }, {}),
+      services: this.services.map((s) => {
+        return {
+          displayName: s.displayName,
+          UUID: s.UUID,
+          subtype: s.subtype,
+          hiddenService: s.isHiddenService,
+          primaryService: s.isPrimaryService,
+          characteristics: s.characteristics.map((c) => {
+            return {
+              displayName: c.displayName,
+              UUID: c.UUID,
+              props: c.props,
+              value: c.value
+            }
+          })
+        }
+      })
+    }))
+  }
+
+  // Deserialise, like Homebridge does when reading cachedAccessories.
+  static _hydrate (data) {
+    const accessory = new PlatformAccessory(
+      data.displayName, data.UUID, data.category
+    )
+    accessory.context = data.context
+    accessory.services = []
+    const servicesByKey = {}
+    for (const s of data.services) {
+      const service = new Service(s.displayName, s.UUID, s.subtype)
+      service.characteristics = []
+      service.isHiddenService = s.hiddenService
+      service.isPrimaryService = s.primaryService
+      for (const c of s.characteristics) {
+        const characteristic = new Characteristic(c.displayName, c.UUID)
+        characteristic.setProps(c.props)
+        characteristic.value = c.value
+        service.characteristics.push(characteristic)
+      }
+      accessory.services.push(service)
+      servicesByKey[s.UUID + (s.subtype || '')] = service
+    }
+    for (const key in data.linkedServices) {
+      for (const linkedKey of data.linkedServices[key]) {
+        if (servicesByKey[key] != null && servicesByKey[linkedKey] != null) {
+          servicesByKey[key].linkedServices.push(servicesByKey[linkedKey])
+        }
+      }
+    }
+    return accessory
+  }
+}
+
+// Stand-in for Homebridge's logger, recording the messages.
+function createLogger (messages, print) {
+  function record (level, message) {
+    messages.push({ level: level, message: message })
+    if (print) {
+      console.log('[%s] %s', level, message)
+    }
+  }
+  const log = (message) => { record('log', message) }
+  log.debug = (message) => { record('debug', message) }
+  log.warn = (message) => { record('warning', message) }
+  log.error = (message) => { record('error', message) }
+  return log
+}
+
+// Remove a directory with its contents.
+function removeDirectory (dir) {
+  for (const name of fs.readdirSync(dir)) {
+    const filename = path.join(dir, name)
+    if (fs.lstatSync(filename).isDirectory()) {
+      removeDirectory(filename)
+    } else {
+      fs.unlinkSync(filename)
+    }
+  }
+  fs.rmdirSync(dir)
+}
+
+/** In-process stand-in for Homebridge, for testing plugins built on
+  * {@link Platform}.
+  *
+  * `MockHomebridge` provides the Homebridge
+  * [API](https://github.com/nfarina/homebridge/blob/master/lib/api.js)
+  * object, backed by in-memory stand-ins for the
+  * [HAP-NodeJS](https://github.com/KhaosT/HAP-NodeJS) `Accessory`, `Service`,
+  * and `Characteristic` classes.
+  * It allows [mocha](https://mochajs.org) tests to load a platform plugin,
+  * start the platform, advance the heartbeat by hand, read and write
+  * characteristic values as if from HomeKit, and check which accessories have
+  * been registered or removed.
+  *
+  * A typical test looks like:
+  * ```javascript
+  * const homebridge = new homebridgeLib.MockHomebridge()
+  * homebridge.load(require('homebridge-ws')) // the plugin's index.js
+  * homebridge.createPlatform({ platform: 'WS', ... })
+  * homebridge.launch()
+  * homebridge.heartbeat(5)
+  * const value = await homebridge.get('id', Service.hap.Switch, Characteristic.hap.On)
+  * homebridge.shutdown()
+  * ```
+  * @extends EventEmitter
+  */
+class MockHomebridge extends events.EventEmitter {
+  /** Create a new Homebridge stand-in.
+    * @param {object} [options] - Options.
+    * @param {string} [options.serverVersion='0.4.46'] - The Homebridge
+    * version to report.
+    * @param {string} [options.storagePath] - The Homebridge user storage path.
+    * Default: a new temporary directory.
+    * @param {object[]} [options.cachedAccessories=[]] - Accessories to restore,
+    * as returned by {@link MockHomebridge#cachedAccessories cachedAccessories}.
+    * @param {boolean} [options.checkLatest=false] - Check the NPM registry for
+    * the latest version of the plugin.
+    * @param {boolean} [options.print=false] - Print the log messages to the
+    * console, next to recording them in
+    * {@link MockHomebridge#messages messages}.
+    */
+  constructor (options = {}) {
+    super()
+    this._options = Object.assign({
+      serverVersion: '0.4.46',
+      cachedAccessories: [],
+      checkLatest: false,
+      print: false
+    }, options)
+    this.serverVersion = this._options.serverVersion
+    this.hap = {
+      Accessory: { Categories: Categories },
+      Characteristic: Characteristic,
+      HAPServer: { Status: Status },
+      Service: Service,
+      uuid: { generate: generate }
+    }
+    this.platformAccessory = PlatformAccessory
+    this.user = {
+      configPath: () => {
+        return path.join(this._storagePath(), 'config.json')
+      },
+      storagePath: () => { return this._storagePath() }
+    }
+    this._accessories = {}
+    this._messages = []
+    this._log = createLogger(this._messages, this._options.print)
+  }
+
+  // Return the storage path, creating it on first use.
+  _storagePath () {
+    if (this._options.storagePath == null) {
+      this._options.storagePath = fs.mkdtempSync(
+        path.join(os.tmpdir(), 'homebridge-lib-')
+      )
+      this._tmpStoragePath = this._options.storagePath
+    }
+    const accessoriesPath = path.join(this._options.storagePath, 'accessories')
+    if (!fs.existsSync(accessoriesPath)) {
+      fs.mkdirSync(accessoriesPath)
+    }
+    return this._options.storagePath
+  }
+
+  // ===== Homebridge API ======================================================
+
+  // Called by Platform.loadPlatform().
+  registerPlatform (pluginName, platformName, constructor, dynamic) {
+    this._pluginName = pluginName
+    this._platformName = platformName
+    this._Platform = constructor
+  }
+
+  // Called by the platform to expose new accessories.
+  registerPlatformAccessories (pluginName, platformName, accessories) {
+    for (const accessory of accessories) {
+      if (this._accessories[accessory.UUID] != null) {
+        throw new Error(`${accessory.UUID}: accessory already registered`)
+      }
+      this._accessories[accessory.UUID] = accessory
+      /** Emitted when the platform has registered an accessory.
+        * @event MockHomebridge#registered
+        * @param {PlatformAccessory} accessory - The accessory.
+        */
+      this.emit('registered', accessory)
+    }
+  }
+
+  // Called by the platform to persist changed accessories.
+  updatePlatformAccessories (accessories) {
+    for (const accessory of accessories) {
+      /** Emitted when the platform has updated an accessory.
+        * @event MockHomebridge#updated
+        * @param {PlatformAccessory} accessory - The accessory.
+        */
+      this.emit('updated', accessory)
+    }
+  }
+
+  // Called by the platform to remove accessories.
+  unregisterPlatformAccessories (pluginName, platformName, accessories) {
+    for (const accessory of accessories) {
+      delete this._accessories[accessory.UUID]
+      /** Emitted when the platform has unregistered an accessory.
+        * @event MockHomebridge#unregistered
+        * @param {PlatformAccessory} accessory - The accessory.
+        */
+      this.emit('unregistered', accessory)
+    }
+  }
+
+  // ===== Test Harness ========================================================
+
+  /** The name of the plugin, as registered by
+    * {@link Platform.loadPlatform loadPlatform()}.
+    * @type {?string}
+    * @readonly
+    */
+  get pluginName () {
+    return this._pluginName
+  }
+
+  /** The name of the platform, as registered by
+    * {@link Platform.loadPlatform loadPlatform()}.
+    * @type {?string}
+    * @readonly
+    */
+  get platformName () {
+    return this._platformName
+  }
+
+  /** The constructor of the platform plugin, as registered by
+    * {@link Platform.loadPlatform loadPlatform()}.
+    * @type {?Class}
+    * @readonly
+    */
+  get Platform () {
+    return this._Platform
+  }
+
+  /** The platform plugin instance, created by
+    * {@link MockHomebridge#createPlatform createPlatform()}.
+    * @type {?Platform}
+    * @readonly
+    */
+  get platform () {
+    return this._platform
+  }
+
+  /** The messages logged by the platform plugin.
+    * @type {object[]}
+    * @property {string} level - The log level: `debug`, `log`, `warning`,
+    * or `error`.
+    * @property {string} message - The message.
+    * @readonly
+    */
+  get messages () {
+    return this._messages
+  }
+
+  /** The accessories currently registered by the platform plugin.
+    * @type {PlatformAccessory[]}
+    * @readonly
+    */
+  get accessories () {
+    return Object.keys(this._accessories).map((uuid) => {
+      return this._accessories[uuid]
+    })
+  }
+
+  /** Load the platform plugin.
+    * @param {function} init - The function exported by the plugin's
+    * `index.js`, which calls {@link Platform.loadPlatform}.
+    */
+  load (init) {
+    init(this)
+    if (this._Platform == null) {
+      throw new Error('plugin did not register a platform')
+    }
+  }
+
+  /** Create the platform plugin instance and restore the cached accessories.
+    *
+    * The platform object is written to `config.json` in the storage path, as
+    * the only entry in `platforms`.
+    * @param {?object} configJson - The platform object from `config.json`,
+    * or `null` when the plugin isn't included in `config.json`.
+    * @returns {Platform} The platform plugin instance.
+    */
+  createPlatform (configJson) {
+    if (this._Platform == null) {
+      throw new Error('no platform loaded')
+    }
+    fs.writeFileSync(this.user.configPath(), JSON.stringify({
+      platforms: configJson == null ? [] : [configJson]
+    }))
+    this._platform = new this._Platform(this._log, configJson, this)
+    if (!this._options.checkLatest) {
+      this._platform._checkLatest = async () => {}
+    }
+    for (const data of this._options.cachedAccessories) {
+      const accessory = PlatformAccessory._hydrate(data)
+      this._accessories[accessory.UUID] = accessory
+      this._platform.configureAccessory(accessory)
+    }
+    return this._platform
+  }
+
+  /** Emit `didFinishLaunching`, starting the platform.
+    *
+    * The platform's heartbeat timer is stopped; use
+    * {@link MockHomebridge#heartbeat heartbeat()} instead.
+    */
+  launch () {
+    this.emit('didFinishLaunching')
+    if (this._platform != null && this._platform._heartbeat != null) {
+      clearInterval(this._platform._heartbeat)
+      this._platform._heartbeat = null
+    }
+  }
+
+  /** Advance the platform's heartbeat.
+    * @param {integer} [n=1] - The number of beats.
+    */
+  heartbeat (n = 1) {
+    for (let i = 0; i < n; i++) {
+      this._platform._onHeartbeat()
+    }
+  }
+
+  /** Emit `shutdown`, stopping the platform.
+    *
+    * When the platform's shutdown handlers have finished, the temporary
+    * storage path, created when `options.storagePath` wasn't specified, is
+    * removed.
+    * @return {Promise} Promise that resolves when the platform's shutdown
+    * handlers have finished.
+    */
+  shutdown () {
+    this.emit('shutdown')
+    const platform = this._platform
+    if (platform != null) {
+      process.removeListener('exit', platform._exitListener)
+      if (platform._uncaughtExceptionListener != null) {
+        process.removeListener(
+          'uncaughtException', platform._uncaughtExceptionListener
+        )
+      }
+      if (platform._unhandledRejectionListener != null) {
+        process.removeListener(
+          'unhandledRejection', platform._unhandledRejectionListener
+        )
+      }
+    }
+    return Promise.resolve(
+      platform == null ? undefined : platform._shutdownPromise
+    ).then(() => {
+      if (this._tmpStoragePath != null) {
+        removeDirectory(this._tmpStoragePath)
+        this._tmpStoragePath = null
+      }
+    })
+  }
+
+  /** Return the serialised accessories, as Homebridge would store them in
+    * `cachedAccessories`.
+    *
+    * Pass these to the `cachedAccessories` option of a new `MockHomebridge`
+    * to simulate a Homebridge restart.
+    * @returns {object[]} The serialised accessories.
+    */
+  cachedAccessories () {
+    return this.accessories.map((accessory) => accessory._dehydrate())
+  }
+
+  /** Return the registered accessory with the given id.
+    * @param {string} id - The `params.id` of the accessory delegate.
+    * @returns {?PlatformAccessory} The accessory.
+    */
+  accessory (id) {
+    for (const accessory of this.accessories) {
+      if (accessory.context.id === id) {
+        return accessory
+      }
+    }
+  }
+
+  /** Return the HAP characteristic stand-in.
+    * @param {string} id - The `params.id` of the accessory delegate.
+    * @param {Service} Service - The type of the service.
+    * @param {Characteristic} Characteristic - The type of the characteristic.
+    * @param {?string} subtype - The subtype of the service.
+    * @returns {Characteristic} The characteristic.
+    * @throws {Error} When the accessory, service, or characteristic doesn't
+    * exist.
+    */
+  characteristic (id, Service, Characteristic, subtype) {
+    const accessory = this.accessory(id)
+    if (accessory == null) {
+      throw new Error(`${id}: no such accessory`)
+    }
+    const service = accessory.getServiceByUUIDAndSubType(Service, subtype)
+    if (service == null) {
+      throw new Error(`${id}: ${Service.UUID}: no such service`)
+    }
+    if (!service.testCharacteristic(Characteristic)) {
+      throw new Error(`${id}: ${Characteristic.UUID}: no such characteristic`)
+    }
+    return service.getCharacteristic(Characteristic)
+  }
+
+  /** Read a characteristic value, as HomeKit would.
+    * @param {string} id - The `params.id` of the accessory delegate.
+    * @param {Service} Service - The type of the service.
+    * @param {Characteristic} Characteristic - The type of the characteristic.
+    * @param {?string} subtype - The subtype of the service.
+    * @returns {Promise<*>} The value.
+    */
+  async get (id, Service, Characteristic, subtype) {
+    const characteristic = this.characteristic(
+      id, Service, Characteristic, subtype
+    )
+    return new Promise((resolve, reject) => {
+      characteristic.getValue((error, value) => {
+        if (error) {
+          return reject(error)
+        }
+        resolve(value)
+      })
+    })
+  }
+
+  /** Write a characteristic value, as HomeKit would.
+    * @param {string} id - The `params.id` of the accessory delegate.
+    * @param {Service} Service - The type of the service.
+    * @param {Characteristic} Characteristic - The type of the characteristic.
+    * @param {*} value - The value.
+    * @param {?string} subtype - The subtype of the service.
+    * @returns {Promise} Resolved when the plugin has handled the write.
+    */
+  async set (id, Service, Characteristic, value, subtype) {
+    const characteristic = this.characteristic(
+      id, Service, Characteristic, subtype
+    )
+    return new Promise((resolve, reject) => {
+      characteristic.setValue(value, (error) => {
+        if (error) {
+          return reject(error)
+        }
+        resolve()
+      })
+    })
+  }
+}
+
+module.exports = MockHomebridge
@@ -0,0 +1,234 @@
+// homebridge-lib/lib/PersistentStorage.js
+//
+// Library for Homebridge plugins.
+// Copyright © 2019 Erik Baauw. All rights reserved.
+
+'use strict'
+
+const events = require('events')
+const fs = require('fs')
+const util = require('util')
+
+const rename = util.promisify(fs.rename)
+const writeFile = util.promisify(fs.writeFile)
+
+/** Persistent storage for a JSON document with key/value pairs.
+  *
+  * The document is loaded when the storage is created, and saved shortly
+  * after a change, using an atomic write: the document is written to a
+  * temporary file, which then replaces the original file.
+  * The file contains the schema version of the document, so the plugin can
+  * migrate the document when a newer version of the plugin changes the
+  * schema.<br>
+  * Platform plugins get their storage through
+  * {@link Platform#storage storage()}.
+  * @extends EventEmitter
+  */
+class PersistentStorage extends events.EventEmitter {
+  /** Create a new instance of persistent storage.
+    *
+    * @param {!string} filename - The path of the file to store the document.
+    * @param {?object} params - Parameters.
+    * @param {?integer} [params.version=1] - The schema version of the
+    * document.
+    * @param {?object} params.migrations - Functions to migrate the document
+    * from the previous schema version, by version.<br>
+    * Each function takes the document in the previous version and returns
+    * the document in its version.
+    * When loading a document with an older version, the functions for each
+    * newer version are called in order.
+    * @param {?integer} [params.saveDelay=1000] - Time in milliseconds to wait
+    * before saving the document after a change, to combine multiple changes
+    * into a single write.
+    * @throws {Error} When the file cannot be read or parsed, or doesn't
+    * contain a valid document, or contains a document with a newer version.
+    */
+  constructor (filename, params = {}) {
+    super()
+    this._filename = filename
+    this._version = params.version == null ? 1 : params.version
+    if (!Number.isInteger(this._version)) {
+      throw new TypeError(`params.version: ${params.version}: not an integer`)
+    }
+    if (this._version < 1) {
+      throw new RangeError(`params.version: ${params.version}: invalid version`)
+    }
+    this._migrations = params.migrations == null ? {} : params.migrations
+    this._saveDelay = params.saveDelay == null ? 1000 : params.saveDelay
+    this._data = {}
+    this._dirty = false
+    this._saving = Promise.resolve()
+    this._load()
+  }
+
+  /** The path of the file.
+    * @type {string}
+    * @readonly
+    */
+  get filename () {
+    return this._filename
+  }
+
+  /** The schema version of the document.
+    * @type {integer}
+    * @readonly
+    */
+  get version () {
+    return this._version
+  }
+
+  /** The schema version of the document when it was loaded, or `null` when
+    * there was no document.
+    * @type {?integer}
+    * @readonly
+    */
+  get loadedVersion () {
+    return this._loadedVersion
+  }
+
+  /** Return the value for a key.
+    * @param {!string} key - The key.
+    * @return {*} The value, or `undefined` when the key isn't set.
+    */
+  get (key) {
+    return this._data[key]
+  }
+
+  /** Set the value for a key.
+    * @param {!string} key - The key.
+    * @param {*} value - The value.<br>
+    * Must be serialisable to JSON.
+    */
+  set (key, value) {
+    this._data[key] = value
+    this.save()
+  }
+
+  /** Delete a key.
+    * @param {!string} key - The key.
+    */
+  delete (key) {
+    if (key in this._data) {
+      delete this._data[key]
+      this.save()
+    }
+  }
+
+  /** Return the keys.
+    * @return {string[]} The keys.
+    */
+  keys () {
+    return Object.keys(this._data)
+  }
+
+  /** Schedule saving the document.
+    *
+    * Call this after modifying a value in place, e.g. an object or array.
+    */
+  save () {
+    this._dirty = true
+    if (this._timer != null) {
+      return
+    }
+    this._timer = setTimeout(() => {
+      this._timer = null
+      this.flush().catch((error) => {
+        if (this.listenerCount('error') === 0) {
+          // Nobody to report to; the next flush() retries the save.
+          return
+        }
+        /** Emitted when saving the document in the background failed.
+          * @event PersistentStorage#error
+          * @param {Error} error - The error.
+          */
+        this.emit('error', error)
+      })
+    }, this._saveDelay)
+  }
+
+  /** Save the document now, when it has changed.
+    * @return {Promise} Promise that resolves when the document has been
+    * saved.
+    */
+  async flush () {
+    if (this._timer != null) {
+      clearTimeout(this._timer)
+      this._timer = null
+    }
+    if (this._dirty) {
+      this._dirty = false
+      const text = JSON.stringify({ version: this._version, data: this._data })
+      this._saving = this._saving.catch(() => {}).then(() => {
+        return this._write(text)
+      }).catch((error) => {
+        // Retry the save on the next flush().
+        this._dirty = true
+        throw error
+      })
+    }
+    return this._saving
+  }
+
+  // Write the document atomically.
+  async _write (text) {
+    const tmpFilename = this._filename + '.tmp'
+    await writeFile(tmpFilename, text, 'utf8')
+    await rename(tmpFilename, this._filename)
+  }
+
+  // Load and migrate the document.
+  _load () {
+    let text
+    try {
+      text = fs.readFileSync(this._filename, 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this._loadedVersion = null
+        return
+      }
+      throw error
+    }
+    let document
+    try {
+      document = JSON.parse(text)
+    } catch (error) {
+      throw new SyntaxError(`${this._filename}: ${error.message}`)
+    }
+    if (document == null || typeof document !== 'object') {
+      throw new TypeError(`${this._filename}: not an object`)
+    }
+    const version = document.version
+    if (!Number.isInteger(version) || version < 1) {
+      throw new TypeError(`${this._filename}: version ${version}: invalid version`)
+    }
+    if (
+      document.data == null || typeof document.data !== 'object' ||
+      Array.isArray(document.data)
+    ) {
+      throw new TypeError(`${this._filename}: data: not an object`)
+    }
+    if (version > this._version) {
+      throw new RangeError(
+        `${this._filename}: version ${version}: newer than ${this._version}`
+      )
+    }
+    let data = document.data
+    for (let v = version + 1; v <= this._version; v++) {
+      if (this._migrations[v] != null) {
+        data = this._migrations[v](data)
+        if (data == null || typeof data !== 'object' || Array.isArray(data)) {
+          throw new TypeError(
+            `${this._filename}: version ${v}: migration didn't return an object`
+          )
+        }
+      }
+    }
+    this._data = data
+    this._loadedVersion = version
+    if (version !== this._version) {
+      this.save()
+    }
+  }
+}
+
+module.exports = PersistentStorage
@@ -8,6 +8,8 @@
 const homebridgeLib = require('../index')
 
 const fs = require('fs')
+const http = require('http')
+const path = require('path')
 const semver = require('semver')
 const util = require('util')
 const packageJson = require('../package.json')
@@ -28,6 +30,157 @@ const context = {
   checkInterval: 7 * 24 * 3600
 }
 
+// Classes of programming errors, as opposed to exceptions, like
+// communication errors.
+const programmingErrors = [
+  'AssertionError', 'RangeError', 'ReferenceError', 'SyntaxError', 'TypeError'
+]
+
+// Log levels, from least to most verbose.
+const logLevels = ['error', 'warning', 'log', 'debug']
+
+// Definitions of the config.json keys handled by Platform itself.
+const configProperties = {
+  platform: { type: 'string', mandatory: true },
+  name: { type: 'string' },
+  exitOnFault: { type: 'boolean' },
+  faultThreshold: { type: 'integer', minimumValue: 1 },
+  jsonLog: { type: 'string', nonEmpty: true },
+  logLevel: {
+    type: 'object',
+    properties: {
+      platform: { type: 'string', allowedValues: logLevels },
+      accessories: {
+        type: 'object',
+        members: [{ type: 'string', allowedValues: logLevels }]
+      },
+      subsystems: {
+        type: 'object',
+        members: [{ type: 'string', allowedValues: logLevels }]
+      }
+    }
+  },
+  logPolicies: {
+    type: 'object',
+    members: [{
+      type: 'object',
+      properties: {
+        level: { type: 'string', allowedValues: ['log', 'debug', 'silent'] },
+        threshold: { type: 'number', minimumValue: 0, strictRange: true },
+        rate: { type: 'integer', minimumValue: 1, strictRange: true }
+      }
+    }]
+  },
+  staleTimeout: { type: 'integer', minimumValue: 0, strictRange: true },
+  statsInterval: { type: 'integer', minimumValue: 0, strictRange: true },
+  statusPort: { type: 'integer', minimumValue: 1, maximumValue: 65535 },
+  upnp: {
+    type: 'object',
+    properties: {
+      address: { type: 'string' },
+      port: { type: 'integer', minimumValue: 1, maximumValue: 65535 },
+      searchInterval: { type: 'integer', minimumValue: 0 },
+      searchTimeout: { type: 'integer', minimumValue: 1, maximumValue: 60 }
+    }
+  }
+}
+
+// Add the definitions of the keys handled by Platform to the definition
+// provided by the plugin.
+function fullConfigDefinition (configDefinition) {
+  const definition = Object.assign({}, configDefinition)
+  definition.properties = Object.assign(
+    {}, configProperties, configDefinition.properties
+  )
+  return definition
+}
+
+// Convert a name pattern with `*` and `?` wildcards to a regular expression.
+function patternToRegExp (pattern) {
+  const source = pattern.split(/([*?])/).map((s) => {
+    if (s === '*') {
+      return '.*'
+    }
+    if (s === '?') {
+      return '.'
+    }
+    return s.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+  }).join('')
+  return new RegExp('^' + source + '$')
+}
+
+// Return the summary of HomeKit request statistics.
+function requestSummary (stats) {
+  return {
+    count: stats.count,
+    errors: stats.errors,
+    timeouts: stats.timeouts,
+    average: stats.count === 0 ? 0 : Math.round(stats.time / stats.count),
+    max: stats.max
+  }
+}
+
+// Add HomeKit request statistics to a total.
+function addRequestStats (total, stats) {
+  total.count += stats.count
+  total.errors += stats.errors
+  total.timeouts += stats.timeouts
+  total.time += stats.time
+  total.max = Math.max(total.max, stats.max)
+}
+
+// Return a new persisted context for the accessory of an accessory delegate.
+function accessoryContext (delegate, id, name) {
+  return {
+    className: delegate.className,
+    id: id,
+    name: name,
+    contextVersion: delegate.constructor.contextVersion,
+    context: {}
+  }
+}
+
+// Return the accessory delegate of a delegate, or null for the platform.
+function accessoryDelegateOf (delegate) {
+  if (delegate instanceof homebridgeLib.AccessoryDelegate) {
+    return delegate
+  }
+  if (delegate instanceof homebridgeLib.ServiceDelegate) {
+    return delegate._accessoryDelegate
+  }
+  if (delegate instanceof homebridgeLib.CharacteristicDelegate) {
+    return delegate._serviceDelegate._accessoryDelegate
+  }
+  return null
+}
+
+// Escape a Prometheus label value.
+function escapeLabel (value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+}
+
+// Format Prometheus labels.
+function formatLabels (labels) {
+  return '{' + Object.keys(labels).map((key) => {
+    return `${key}="${escapeLabel(labels[key])}"`
+  }).join(',') + '}'
+}
+
+// Delegate for the messages of a library subsystem, like UPnP discovery.
+class SubsystemDelegate extends homebridgeLib.Delegate {
+  constructor (platform, subsystem) {
+    super(platform, subsystem)
+    this._subsystemName = subsystem
+  }
+
+  get _subsystem () {
+    return this._subsystemName
+  }
+}
+
 /** Abstract superclass for a Homebridge dynamic platform plugin.
   *
   * `Platform` provides the following features to a platform plugin:
@@ -60,6 +213,7 @@ class Platform extends homebridgeLib.Delegate {
     context.pluginName = packageJson.name
     context.pluginVersion = packageJson.version
     context.homebridgeVersion = homebridge.serverVersion
+    context.initialised = false
     context.PlatformAccessory = homebridge.platformAccessory
     context.Accessory = { hap: homebridge.hap.Accessory }
     context.Service = { hap: homebridge.hap.Service }
@@ -87,6 +241,131 @@ class Platform extends homebridgeLib.Delegate {
     return s || undefined
   }
 
+  /** Definition of the platform configuration in Homebridge's `config.json`.
+    *
+    * A platform plugin can override this static getter, returning a
+    * {@link TypeParser.Definition Definition} of type `object`.
+    * `Platform` then parses the configuration before the plugin is started,
+    * converting values and applying defaults, and reports each invalid key as
+    * error, e.g.: `platforms[0].upnp.searchInterval: not an integer`.
+    * The parsed configuration is available as {@link Platform#config config}.
+    *
+    * The definitions for the `platform`, `name`, `exitOnFault`,
+    * `faultThreshold`, `jsonLog`, `logLevel`, `logPolicies`, `staleTimeout`,
+    * `statsInterval`, `statusPort`, and `upnp` keys, handled by `Platform`
+    * itself, are added automatically.
+    * `faultThreshold` sets the number of faults, default 3, after which an
+    * accessory becomes faulty, see {@link AccessoryDelegate#event:fault
+    * fault}.
+    * `exitOnFault` shuts down Homebridge on the first fault, instead of
+    * isolating it.
+    * Uncaught exceptions and unhandled promise rejections, which cannot be
+    * traced to an accessory, count as faults of the platform.
+    * `statsInterval` sets the interval in seconds, default 3600, to log a
+    * summary of the runtime statistics, see {@link Platform#stats stats},
+    * or 0 not to log the summary.
+    * `statusPort` enables a local HTTP server on `127.0.0.1`, serving the
+    * accessories, services, and characteristic values, and the runtime
+    * statistics as JSON on `/status`, and as Prometheus metrics on
+    * `/metrics`.
+    * `logLevel` sets the level, `error`, `warning`, `log`, or `debug`, up to
+    * which messages are printed:
+    * - `platform` for the platform and all delegates;
+    * - `accessories` for the delegates of an accessory, by accessory id or
+    * by name pattern, with `*` and `?` wildcards, using the first match;
+    * - `subsystems` for the library subsystems, `upnp`, `history`,
+    * `status`, and `rest`, for the {@link RestClient REST clients} added by
+    * {@link Platform#addRestClient addRestClient()}.
+    *
+    * With level `debug`, debug messages are printed, prefixed by `debug: `,
+    * without running Homebridge with `-D`, e.g.:
+    * `{ "accessories": { "Living Room*": "debug" } }`.
+    * `jsonLog` sets the path of a file, relative to the Homebridge user
+    * storage path, to append structured log records to,
+    * see {@link Platform#jsonLog jsonLog}.
+    * `logPolicies` overrides the log policy of characteristics, see
+    * {@link CharacteristicDelegate}, by service name or by characteristic
+    * name, e.g. `{ "Current Temperature": { "level": "debug" } }`.
+    * `staleTimeout` sets the grace period in seconds, default 300, before
+    * stale cached accessories are removed,
+    * see {@link Platform#event:accessoryStale accessoryStale}, or 0 not to
+    * remove stale accessories.
+    * @type {?TypeParser.Definition}
+    * @readonly
+    */
+  static get configDefinition () {
+    return null
+  }
+
+  /** Remove orphaned services and characteristics from cached accessories.
+    *
+    * After Homebridge has finished launching, `Platform` removes the services
+    * and characteristics of restored accessories that weren't claimed by a
+    * {@link ServiceDelegate} or {@link CharacteristicDelegate} in this
+    * session, e.g. because a newer version of the plugin no longer defines
+    * them.
+    * Required characteristics of a service are never removed.
+    * A platform plugin that creates its delegates only after Homebridge has
+    * finished launching, should override this static getter to return
+    * `false`.
+    * @type {boolean}
+    * @readonly
+    */
+  static get removeOrphans () {
+    return true
+  }
+
+  /** Time in milliseconds to wait for the shutdown handlers.
+    *
+    * When Homebridge is shutting down, `Platform` awaits the handlers
+    * registered by {@link Delegate#addShutdownHandler addShutdownHandler()},
+    * and reports the handlers that didn't finish within this time.
+    * Homebridge exits the process five seconds after initiating the
+    * shutdown.
+    * @type {integer}
+    * @readonly
+    */
+  static get shutdownTimeout () {
+    return 4000
+  }
+
+  /** Return the contents of `config.schema.json`, used by Homebridge UI
+    * to present a settings screen for the platform plugin.
+    *
+    * The schema is generated from the plugin's
+    * {@link Platform.configDefinition configDefinition}, so the settings
+    * screen matches the validation of `config.json`.
+    * Must be called on the plugin's class, after
+    * {@link Platform.loadPlatform loadPlatform()}.
+    * See the `schema` command-line tool.
+    * @returns {?object} The contents of `config.schema.json`, or `null` when
+    * the plugin doesn't define a `configDefinition`.
+    */
+  static configSchema () {
+    if (this.configDefinition == null) {
+      return null
+    }
+    const parser = new homebridgeLib.TypeParser(
+      fullConfigDefinition(this.configDefinition)
+    )
+    const schema = parser.toJsonSchema()
+    // Homebridge UI sets the platform key itself.
+    delete schema.properties.platform
+    schema.required = (schema.required || []).filter((key) => {
+      return key !== 'platform'
+    })
+    if (schema.required.length === 0) {
+      delete schema.required
+    }
+    delete schema.additionalProperties
+    return {
+      pluginAlias: context.platformName,
+      pluginType: 'platform',
+      singular: true,
+      schema: schema
+    }
+  }
+
   /** Create a new instance of the platform plugin.
     *
     * Called by Homebridge when initialising the plugin from `config.json`.
@@ -107,17 +386,26 @@ class Platform extends homebridgeLib.Delegate {
     this._homebridge = homebridge
     this._accessories = {}
     this._accessoryDelegates = {}
+    this._restStats = {}
+    this._shutdownHandlers = []
+    this._faults = 0
+    this._storages = {}
 
     if (process.listenerCount('uncaughtException') === 0) {
-      process.on('uncaughtException', this._uncaughtException.bind(this))
+      this._uncaughtExceptionListener = this._uncaughtException.bind(this)
+      process.on('uncaughtException', this._uncaughtExceptionListener)
+    }
+    if (process.listenerCount('unhandledRejection') === 0) {
+      this._unhandledRejectionListener = this._unhandledRejection.bind(this)
+      process.on('unhandledRejection', this._unhandledRejectionListener)
     }
-    process.on('exit', this._exit.bind(this))
+    this._exitListener = this._exit.bind(this)
+    process.on('exit', this._exitListener)
     this._identify()
     if (configJson == null) {
       this._homebridge.on('didFinishLaunching', this._cleanup.bind(this))
       return
     }
-    this._homebridge.on('didFinishLaunching', this._main.bind(this))
     this._homebridge.on('shutdown', this._shutdown.bind(this))
     if (context.initialised) {
       this.fatal(
@@ -125,6 +413,211 @@ class Platform extends homebridgeLib.Delegate {
       )
     }
     context.initialised = true
+    if (!this._parseConfig()) {
+      return
+    }
+    this._homebridge.on('didFinishLaunching', this._main.bind(this))
+    this._setLogLevels(this._config.logLevel)
+    this._setLogPolicies(this._config.logPolicies)
+    if (this._config.jsonLog != null) {
+      this._openJsonLog(this._config.jsonLog)
+    }
+  }
+
+  /** The platform configuration from Homebridge's `config.json`.
+    *
+    * When the plugin defines a {@link Platform.configDefinition
+    * configDefinition}, this is the parsed configuration, with converted
+    * values and defaults applied.
+    * Otherwise, this is the platform object from `config.json` as-is.
+    * When `config.json` is invalid, this is `null`.
+    * @type {?object}
+    * @readonly
+    */
+  get config () {
+    return this._config
+  }
+
+  /** Sink for structured log records.
+    *
+    * When set, each message by the platform and its delegates is also
+    * written, as a single line of JSON, to this stream.
+    * The record contains the `timestamp`, `level`, `platform`, and
+    * `message`, and, where applicable, the `accessory`, `service`, and
+    * `characteristic` names, the characteristic `key`, and the `oldValue`
+    * and `newValue` for a value change.<br>
+    * Set from `jsonLog` in `config.json`, see
+    * {@link Platform.configDefinition configDefinition}, or by the plugin.
+    * @type {?stream.Writable}
+    */
+  get jsonLog () {
+    return this._jsonLog
+  }
+  set jsonLog (stream) {
+    if (stream != null && typeof stream.write !== 'function') {
+      throw new TypeError('jsonLog: not a writable stream')
+    }
+    this._jsonLog = stream
+  }
+
+  /** Runtime statistics.
+    *
+    * HomeKit request statistics contain the number of requests (`count`),
+    * `errors`, and `timeouts` of the getter or setter, and the `average`
+    * and `max` response time in milliseconds.
+    * @type {object}
+    * @property {integer} uptime - Seconds since Homebridge finished
+    * launching.
+    * @property {object} heartbeat - The number of `beats`, and the `last`,
+    * `average`, and `max` drift in milliseconds, i.e. how late the heartbeat
+    * fired.
+    * @property {object} homeKit - The HomeKit request statistics for `get`
+    * and `set`.
+    * @property {object} accessories - For each accessory, by id, the `name`,
+    * the number of `services` and `characteristics`, and the HomeKit request
+    * statistics for `get` and `set`.
+    * @property {object} rest - For each REST client, by name, the number of
+    * `requests` and `errors`, the `errorRate` in percent, and the `average`
+    * response time in milliseconds, see {@link Platform#addRestClient
+    * addRestClient()}.
+    * @readonly
+    */
+  get stats () {
+    const drift = this._drift || { count: 0, time: 0, last: 0, max: 0 }
+    const stats = {
+      uptime: this._started == null
+        ? 0
+        : Math.round((Date.now() - this._started) / 1000),
+      heartbeat: {
+        beats: this._beat == null ? 0 : this._beat + 1,
+        last: drift.last,
+        average: drift.count === 0 ? 0 : Math.round(drift.time / drift.count),
+        max: drift.max
+      },
+      homeKit: {},
+      accessories: {},
+      rest: {}
+    }
+    const total = {
+      get: { count: 0, errors: 0, timeouts: 0, time: 0, max: 0 },
+      set: { count: 0, errors: 0, timeouts: 0, time: 0, max: 0 }
+    }
+    for (const id in this._accessoryDelegates) {
+      const delegate = this._accessoryDelegates[id]
+      const accessory = delegate._accessory
+      let characteristics = 0
+      for (const service of accessory.services) {
+        characteristics += service.characteristics.length
+      }
+      stats.accessories[id] = {
+        name: delegate.name,
+        services: accessory.services.length,
+        characteristics: characteristics,
+        get: requestSummary(delegate._requestStats.get),
+        set: requestSummary(delegate._requestStats.set)
+      }
+      addRequestStats(total.get, delegate._requestStats.get)
+      addRequestStats(total.set, delegate._requestStats.set)
+    }
+    stats.homeKit.get = requestSummary(total.get)
+    stats.homeKit.set = requestSummary(total.set)
+    for (const name in this._restStats) {
+      const rest = this._restStats[name]
+      stats.rest[name] = {
+        requests: rest.requests,
+        errors: rest.errors,
+        errorRate: rest.requests === 0
+          ? 0
+          : Math.round(100 * rest.errors / rest.requests),
+        average: rest.requests === 0 ? 0 : Math.round(rest.time / rest.requests)
+      }
+    }
+    return stats
+  }
+
+  /** Include the requests of a {@link RestClient} in the runtime statistics,
+    * see {@link Platform#stats stats}.
+    *
+    * The requests are logged as debug messages, and failed requests as
+    * warnings, of the `rest` subsystem, see `logLevel` in
+    * {@link Platform.configDefinition configDefinition}.
+    * @param {!RestClient} client - The REST client.
+    */
+  addRestClient (client) {
+    if (!(client instanceof homebridgeLib.RestClient)) {
+      throw new TypeError('client: not a RestClient')
+    }
+    if (this._restStats[client.name] == null) {
+      this._restStats[client.name] = { requests: 0, errors: 0, time: 0 }
+    }
+    const stats = this._restStats[client.name]
+    if (this._restDelegate == null) {
+      this._restDelegate = new SubsystemDelegate(this, 'rest')
+    }
+    const rest = this._restDelegate
+    client.on('request', (method, resource) => {
+      rest.debug('%s: %s %s', client.name, method, resource)
+    })
+    client.on('response', (method, resource, duration) => {
+      rest.debug(
+        '%s: %s %s: ok (%d ms)', client.name, method, resource, duration
+      )
+      stats.requests++
+      stats.time += duration
+    })
+    client.on('requestError', (method, resource, error, duration) => {
+      rest.warn(
+        '%s: %s %s: %s (%d ms)', client.name, method, resource,
+        error.message, duration
+      )
+      stats.requests++
+      stats.errors++
+      stats.time += duration
+    })
+  }
+
+  /** Return the persistent storage for platform-level state, like API
+    * tokens or discovered devices.
+    *
+    * The document for `namespace` is stored in the Homebridge user storage
+    * path, as `<plugin>/<namespace>.json`.
+    * It is saved shortly after a change, and when Homebridge is shutting
+    * down.
+    * @param {!string} namespace - The namespace of the document.
+    * @param {?object} params - Parameters for a new
+    * {@link PersistentStorage}, like the schema `version` and `migrations`.
+    * @return {PersistentStorage} The storage.
+    * @throws {Error} When the document cannot be loaded.
+    */
+  storage (namespace, params) {
+    if (typeof namespace !== 'string') {
+      throw new TypeError(`namespace: ${namespace}: not a string`)
+    }
+    if (!/^[A-Za-z0-9_-]+$/.test(namespace)) {
+      throw new RangeError(`namespace: ${namespace}: invalid namespace`)
+    }
+    if (this._storages[namespace] != null) {
+      return this._storages[namespace]
+    }
+    const dir = path.join(
+      this._homebridge.user.storagePath(), context.pluginName
+    )
+    fs.mkdirSync(dir, { recursive: true })
+    const storage = new homebridgeLib.PersistentStorage(
+      path.join(dir, namespace + '.json'), params
+    )
+    if (storage.loadedVersion != null && storage.loadedVersion !== storage.version) {
+      this.log(
+        '%s: migrated from version %d to %d', storage.filename,
+        storage.loadedVersion, storage.version
+      )
+    }
+    storage.on('error', (error) => {
+      this.error('%s: cannot write: %s', storage.filename, error.message)
+    })
+    this.addShutdownHandler(() => storage.flush(), 'storage ' + namespace)
+    this._storages[namespace] = storage
+    return storage
   }
 
   get Accessory () {
@@ -148,40 +641,73 @@ class Platform extends homebridgeLib.Delegate {
     if (n > 0) {
       this.log('restored %d accessories from cache', n)
     }
-    let beat = -1
-    this._heartbeat = setInterval(() => {
-      beat += 1
-      /** Emitted every second.
-        * @event Platform#heartbeat
-        * @param {number} beat - The sequence number of this heartbeat.
-        */
-      this.emit('heartbeat', beat)
-      if (beat % context.checkInterval === 0) {
-        this._checkLatest()
-      }
-      if (beat % this._upnpSearchInterval === 0) {
-        this._upnpMonitor.search()
-      }
-      for (const id in this._accessoryDelegates) {
-        /** Emitted evert seconds.
-          * @event AccessoryDelegate#heartbeat
-          * @param {number} beat - The sequence number of this heartbeat.
-          */
-        this._accessoryDelegates[id].emit('heartbeat', beat)
-      }
-    }, 1000)
+    if (this.constructor.removeOrphans) {
+      this._removeOrphans()
+    }
+    this._summary()
+    const staleTimeout = this._parseConfigValue('staleTimeout')
+    this._staleTimeout = staleTimeout == null ? 300 : staleTimeout
+    const statsInterval = this._parseConfigValue('statsInterval')
+    this._statsInterval = statsInterval == null ? 3600 : statsInterval
+    this._started = Date.now()
+    this._drift = { count: 0, time: 0, last: 0, max: 0 }
+    if (this._config.statusPort != null) {
+      this._statusServerStart(this._config.statusPort)
+    }
+    this._beat = -1
+    this._heartbeat = setInterval(this._onHeartbeat.bind(this), 1000)
     if (this.listenerCount('upnpDeviceAlive') > 0) {
-      this._upnpConfig(this._configJson.upnp || {})
+      this._upnpConfig(this._config.upnp || {})
       this._upnpMonitor.listen()
     }
     if (this.listenerCount('upnpDeviceFound') > 0) {
-      this._upnpConfig(this._configJson.upnp || {})
+      this._upnpConfig(this._config.upnp || {})
       this._upnpMonitor.search()
     } else {
       this._upnpSearchInterval = 0
     }
   }
 
+  // Called every second.
+  _onHeartbeat () {
+    this._beat += 1
+    const now = Date.now()
+    if (this._lastHeartbeat != null) {
+      const drift = Math.max(0, now - this._lastHeartbeat - 1000)
+      this._drift.count++
+      this._drift.time += drift
+      this._drift.last = drift
+      this._drift.max = Math.max(this._drift.max, drift)
+    }
+    this._lastHeartbeat = now
+    /** Emitted every second.
+      * @event Platform#heartbeat
+      * @param {number} beat - The sequence number of this heartbeat.
+      */
+    this.emit('heartbeat', this._beat)
+    if (this._staleTimeout > 0 && this._beat === this._staleTimeout) {
+      this._removeStaleAccessories()
+    }
+    if (this._beat % context.checkInterval === 0) {
+      this._checkLatest()
+    }
+    if (this._beat % this._upnpSearchInterval === 0) {
+      this._upnpMonitor.search()
+    }
+    if (this._beat > 0 && this._beat % this._statsInterval === 0) {
+      this._logStats()
+    }
+    for (const id in this._accessoryDelegates) {
+      const delegate = this._accessoryDelegates[id]
+      /** Emitted evert seconds.
+        * @event AccessoryDelegate#heartbeat
+        * @param {number} beat - The sequence number of this heartbeat.
+        */
+      delegate.emit('heartbeat', this._beat)
+      delegate._onPoll(this._beat)
+    }
+  }
+
   // Called by homebridge when shutting down.
   _shutdown () {
     if (this._shuttingDown) {
@@ -189,6 +715,9 @@ class Platform extends homebridgeLib.Delegate {
     }
     this._shuttingDown = true
     clearInterval(this._heartbeat)
+    if (this._statusServer != null) {
+      this._statusServer.close()
+    }
     this.removeAllListeners('upnpDeviceAlive')
     this.removeAllListeners('upnpDeviceFound')
     for (const id in this._accessoryDelegates) {
@@ -207,6 +736,43 @@ class Platform extends homebridgeLib.Delegate {
       * @event Platform#shutdown
       */
     this.emit('shutdown')
+    this._shutdownPromise = this._runShutdownHandlers()
+  }
+
+  // Await the shutdown handlers, up to shutdownTimeout.
+  async _runShutdownHandlers () {
+    const timeout = this.constructor.shutdownTimeout
+    const pending = new Set(this._shutdownHandlers)
+    const promises = this._shutdownHandlers.map(async (entry) => {
+      try {
+        await entry.handler()
+      } catch (error) {
+        entry.delegate.error(error)
+      }
+      pending.delete(entry)
+    })
+    let timer
+    await Promise.race([
+      Promise.all(promises),
+      new Promise((resolve) => { timer = setTimeout(resolve, timeout) })
+    ])
+    clearTimeout(timer)
+    for (const entry of pending) {
+      entry.delegate.warn(
+        'shutdown: %s: not finished after %d ms', entry.name, timeout
+      )
+    }
+    this.debug(
+      'shutdown: %d/%d handlers finished',
+      this._shutdownHandlers.length - pending.size, this._shutdownHandlers.length
+    )
+    if (this._jsonLogFile != null) {
+      this._jsonLogFile.end()
+      if (this._jsonLog === this._jsonLogFile) {
+        this._jsonLog = null
+      }
+      this._jsonLogFile = null
+    }
   }
 
   // Called by NodeJS when process is exiting.
@@ -220,8 +786,47 @@ class Platform extends homebridgeLib.Delegate {
   }
 
   // Called by NodeJS when an uncaught exception occurs.
+  // The exception cannot be traced to a delegate: count it as a fault of the
+  // platform, exiting when exitOnFault is set, see _fault().
   _uncaughtException (error) {
-    this.fatal('uncaught exception\n%s', error.stack)
+    this.error('uncaught exception')
+    this._fault(this, error)
+  }
+
+  // Called by NodeJS when a promise rejection isn't handled.
+  _unhandledRejection (reason) {
+    this.error('unhandled promise rejection')
+    this._fault(this, reason)
+  }
+
+  // Check whether an error is a programming error, rather than an exception.
+  _isProgrammingError (error) {
+    return error instanceof Error &&
+      programmingErrors.includes(error.constructor.name)
+  }
+
+  // Isolate an error thrown by the plugin to the accessory of the delegate
+  // that caused it, instead of crashing Homebridge.
+  _fault (delegate, error) {
+    if (!(error instanceof Error)) {
+      error = new Error(error)
+    }
+    const config = this._config || {}
+    const accessoryDelegate = accessoryDelegateOf(delegate)
+    const target = accessoryDelegate == null ? this : accessoryDelegate
+    target._faults++
+    delegate.error(error)
+    if (target._faults > 1) {
+      target.warn('%d faults', target._faults)
+    }
+    if (config.exitOnFault) {
+      this.fatal('exit on fault')
+      return
+    }
+    const threshold = config.faultThreshold == null ? 3 : config.faultThreshold
+    if (accessoryDelegate != null && target._faults === threshold) {
+      accessoryDelegate._setFaulty(error)
+    }
   }
 
   // Issue an identity message.
@@ -244,13 +849,98 @@ class Platform extends homebridgeLib.Delegate {
         'not using recommended homebridge v%s', homebridgeVersion
       )
     }
-    const n = Object.keys(this._accessories).length
-    if (n > 0) {
-      this.log('exposing %d/%d accessories', n, context.maxAccessories)
-    }
     this.debug('config.json: %j', this._configJson)
   }
 
+  // Parse config.json, using the definition provided by the plugin.
+  // Return false when config.json is invalid.
+  _parseConfig () {
+    this._config = this._configJson
+    const configDefinition = this.constructor.configDefinition
+    if (configDefinition == null) {
+      return true
+    }
+    const parser = new homebridgeLib.TypeParser(
+      fullConfigDefinition(configDefinition)
+    )
+    parser.on('error', (error) => {
+      this.error('config.json: %s', error.message)
+    })
+    try {
+      this._config = parser.parse(
+        this._configJson, { userInput: true, key: this._configKey() }
+      )
+      this.debug('config: %j', this._config)
+      return true
+    } catch (error) {
+      this._config = null
+      this.fatal(
+        'config.json: invalid configuration for %s platform',
+        context.platformName
+      )
+      return false
+    }
+  }
+
+  // Parse the value of a config.json key handled by Platform, using its
+  // definition in configProperties.  This checks config.json, also when the
+  // plugin doesn't provide a configDefinition.
+  // Return undefined, when the value is missing or invalid.
+  _parseConfigValue (
+    key, value = this._config[key], definition = configProperties[key]
+  ) {
+    if (value == null) {
+      return undefined
+    }
+    const parser = new homebridgeLib.TypeParser(definition)
+    parser.on('error', (error) => {
+      this.warn('config.json: %s.%s - ignored', this._configKey(), error.message)
+    })
+    try {
+      return parser.parse(value, { userInput: true, key: key })
+    } catch (error) {
+      return undefined
+    }
+  }
+
+  // Parse the members of an object from config.json, using the definition
+  // in configProperties, ignoring invalid members.
+  // Return the valid members.
+  _parseConfigMembers (
+    key, value = this._config[key], definition = configProperties[key]
+  ) {
+    const members = this._parseConfigValue(
+      key, value, Object.assign({}, definition, { members: [{ type: 'any' }] })
+    )
+    const result = {}
+    for (const name in members) {
+      const member = this._parseConfigValue(
+        key + '.' + name, members[name], definition.members[0]
+      )
+      if (member != null) {
+        result[name] = member
+      }
+    }
+    return result
+  }
+
+  // Return the key of the platform object in config.json, e.g. platforms[0].
+  _configKey () {
+    try {
+      const configJson = JSON.parse(
+        fs.readFileSync(this._homebridge.user.configPath(), 'utf8')
+      )
+      for (const id in configJson.platforms) {
+        if (configJson.platforms[id].platform === context.platformName) {
+          return `platforms[${id}]`
+        }
+      }
+    } catch (error) {
+      this.debug(error)
+    }
+    return context.platformName
+  }
+
   // Check the NPM registry for the lastest version of this plugin.
   async _checkLatest () {
     try {
@@ -289,12 +979,15 @@ class Platform extends homebridgeLib.Delegate {
     const context = accessory.context.context
     this.debug('%s: cached %s %s: %j', name, className, id, context)
     this._accessories[id] = accessory
-    if (this._configJson != null) {
+    if (this._config != null) {
       /** Emitted when Homebridge has restored an accessory from peristed
         * storage.
         *
         * On receiving this event, the plugin should restore the accessory
         * delegate.
+        * Note that `context` is passed as persisted; it is migrated to the
+        * {@link AccessoryDelegate.contextVersion contextVersion} of the
+        * delegate class, when the delegate is created.
         * @event Platform#accessoryRestored
         * @param {!string} className - The name of the
         * {@link AccessoryDelegate#className class} of the accessory delegate.
@@ -305,27 +998,98 @@ class Platform extends homebridgeLib.Delegate {
     }
   }
 
+  /** Re-identify an accessory, after the id of the device has changed.
+    *
+    * The HomeKit UUID of an accessory is derived from the `params.id` of its
+    * {@link AccessoryDelegate}, so HomeKit would see a new accessory, when
+    * the id changes, e.g. after replacing a gateway, and the user would lose
+    * the room, scenes, and automations of the accessory.
+    * Call this method, typically from the
+    * {@link Platform#event:accessoryRestored accessoryRestored} handler,
+    * before creating the delegate with the new id, to link the accessory
+    * with the old id to the new id, keeping the HomeKit UUID.
+    * The new id is persisted with the accessory, so the mapping survives
+    * a Homebridge restart.
+    * An accessory delegate created with the old id is linked to the
+    * accessory with the new id.
+    * @param {!string} oldId - The id of the accessory.
+    * @param {!string} newId - The new id of the accessory.
+    * @return {boolean} `true` when the accessory was re-identified, `false`
+    * when there's no accessory with id `oldId`.
+    * @throws {TypeError} When an id isn't a string.
+    * @throws {RangeError} When an accessory with id `newId` already exists.
+    */
+  renameAccessory (oldId, newId) {
+    if (typeof oldId !== 'string') {
+      throw new TypeError(`oldId: ${oldId}: not a string`)
+    }
+    if (typeof newId !== 'string') {
+      throw new TypeError(`newId: ${newId}: not a string`)
+    }
+    if (newId === '') {
+      throw new RangeError(`newId: ${newId}: invalid id`)
+    }
+    const accessory = this._accessories[oldId]
+    if (accessory == null) {
+      return false
+    }
+    if (this._accessories[newId] != null) {
+      throw new RangeError(`newId: ${newId}: duplicate id`)
+    }
+    this.log(
+      '%s: rename %s %s to %s', accessory.context.name,
+      accessory.context.className, oldId, newId
+    )
+    accessory.context.id = newId
+    if (accessory.context.aliases == null) {
+      accessory.context.aliases = []
+    }
+    accessory.context.aliases.push(oldId)
+    this._accessories[newId] = accessory
+    delete this._accessories[oldId]
+    const delegate = this._accessoryDelegates[oldId]
+    if (delegate != null) {
+      delegate._id = newId
+      this._accessoryDelegates[newId] = delegate
+      delete this._accessoryDelegates[oldId]
+    }
+    this._homebridge.updatePlatformAccessories([accessory])
+    return true
+  }
+
   // Get or create accessory.
   _getAccessory (delegate, params) {
     const className = delegate.className
-    const id = params.id
+    let id = params.id
     let accessory = this._accessories[id]
+    if (accessory == null) {
+      // Resolve an old id of an accessory, see renameAccessory().
+      const newId = Object.keys(this._accessories).find((key) => {
+        const aliases = this._accessories[key].context.aliases
+        return aliases != null && aliases.includes(id)
+      })
+      if (newId != null) {
+        delegate.debug('%s: renamed to %s', id, newId)
+        id = newId
+        delegate._id = newId
+        accessory = this._accessories[id]
+      }
+    }
     if (accessory == null) {
       const name = params.name
       const category = params.category
-      this.debug('%s: create %s %s', name, className, id)
+      delegate.debug('create %s %s', className, id)
       const uuid = this._homebridge.hap.uuid.generate(params.id).toUpperCase()
       accessory = new context.PlatformAccessory(name, uuid, category)
+      const n = Object.keys(this._accessories).length
       this._accessories[id] = accessory
       accessory.displayName = name
-      accessory.context = {
-        className: className,
-        id: id,
-        name: name,
-        context: {}
-      }
-      if (Object.keys(this._accessories).length >= context.maxAccessories) {
-        this.error('%s: not exposed to HomeKit - too many accessories', name)
+      accessory.context = accessoryContext(delegate, id, name)
+      if (n >= context.maxAccessories) {
+        delegate.error(
+          'not exposed to HomeKit - too many accessories (max %d)',
+          context.maxAccessories
+        )
       } else {
         this._homebridge.registerPlatformAccessories(
           context.pluginName, context.platformName, [accessory]
@@ -334,17 +1098,200 @@ class Platform extends homebridgeLib.Delegate {
     } else {
       // Allow for plugin to change delegate class
       accessory.context.className = className
+      const migrated = this._migrateContext(
+        delegate, accessory.context.context, accessory.context.contextVersion
+      )
+      if (migrated == null) {
+        // Rebuild the accessory from scratch.
+        const AccessoryInformation = context.Service.hap.AccessoryInformation
+        for (const service of accessory.services.slice()) {
+          if (service.UUID !== AccessoryInformation.UUID) {
+            accessory.removeService(service)
+          }
+        }
+        const aliases = accessory.context.aliases
+        const historyFile = accessory.context.historyFile
+        accessory.context = accessoryContext(
+          delegate, id, accessory.context.name
+        )
+        if (aliases != null) {
+          accessory.context.aliases = aliases
+        }
+        if (historyFile != null) {
+          accessory.context.historyFile = historyFile
+        }
+        this._homebridge.updatePlatformAccessories([accessory])
+      } else {
+        accessory.context.context = migrated
+        accessory.context.contextVersion = delegate.constructor.contextVersion
+      }
     }
     this._accessoryDelegates[id] = delegate
     return accessory
   }
 
+  // Migrate a persisted context to the version of the delegate class.
+  // Return the migrated context, or null when it cannot be migrated.
+  _migrateContext (delegate, persisted, version = 1) {
+    const Delegate = delegate.constructor
+    const contextVersion = Delegate.contextVersion
+    if (version === contextVersion) {
+      return persisted
+    }
+    let migrated = persisted
+    try {
+      if (version > contextVersion) {
+        throw new RangeError(`newer than ${contextVersion}`)
+      }
+      const migrations = Delegate.contextMigrations
+      for (let v = version + 1; v <= contextVersion; v++) {
+        if (migrations[v] != null) {
+          migrated = migrations[v](migrated)
+          if (migrated == null || typeof migrated !== 'object') {
+            throw new TypeError(`version ${v}: migration didn't return an object`)
+          }
+        }
+      }
+    } catch (error) {
+      delegate.warn(
+        'context: version %d: cannot migrate to version %d: %s',
+        version, contextVersion, error.message
+      )
+      return null
+    }
+    delegate.log(
+      'context: migrated from version %d to %d', version, contextVersion
+    )
+    return migrated
+  }
+
+  // Add a new service to the accessory, unless that would exceed
+  // maxServices.
+  _addService (accessoryDelegate, service) {
+    const accessory = accessoryDelegate._accessory
+    if (accessory.services.length >= context.maxServices) {
+      accessoryDelegate.error(
+        '%s: not exposed to HomeKit - too many services (max %d)',
+        service.displayName, context.maxServices
+      )
+      return service
+    }
+    return accessory.addService(service)
+  }
+
+  // Add a new characteristic to the service, unless that would exceed
+  // maxCharacteristics.
+  _addCharacteristic (serviceDelegate, characteristic) {
+    const service = serviceDelegate._service
+    if (service.characteristics.length >= context.maxCharacteristics) {
+      serviceDelegate._accessoryDelegate.error(
+        '%s: %s: not exposed to HomeKit - too many characteristics (max %d)',
+        serviceDelegate.name, characteristic.displayName,
+        context.maxCharacteristics
+      )
+      return characteristic
+    }
+    return service.addCharacteristic(characteristic)
+  }
+
+  // Return the log policy overrides from config.json for a characteristic.
+  _logPolicy (serviceName, characteristicName) {
+    const policies = this._logPolicies
+    if (policies == null) {
+      return {}
+    }
+    return Object.assign(
+      {}, policies[serviceName], policies[characteristicName]
+    )
+  }
+
+  // Set the log policy overrides from config.json, ignoring invalid entries.
+  _setLogPolicies (config) {
+    this._logPolicies = this._parseConfigMembers('logPolicies', config)
+  }
+
+  // Issue a summary of the accessories, services, and characteristics
+  // exposed.
+  _summary () {
+    const n = Object.keys(this._accessories).length
+    if (n === 0) {
+      return
+    }
+    let nServices = 0
+    let nCharacteristics = 0
+    for (const id in this._accessories) {
+      const accessory = this._accessories[id]
+      nServices += accessory.services.length
+      let maxCharacteristics = 0
+      for (const service of accessory.services) {
+        nCharacteristics += service.characteristics.length
+        maxCharacteristics = Math.max(
+          maxCharacteristics, service.characteristics.length
+        )
+      }
+      this.debug(
+        '%s: %d/%d services, up to %d/%d characteristics per service',
+        accessory.displayName, accessory.services.length, context.maxServices,
+        maxCharacteristics, context.maxCharacteristics
+      )
+    }
+    this.log(
+      'exposing %d/%d accessories, with %d services and %d characteristics',
+      n, context.maxAccessories, nServices, nCharacteristics
+    )
+  }
+
+  // Issue a summary of the runtime statistics.
+  _logStats () {
+    const stats = this.stats
+    const get = stats.homeKit.get
+    const set = stats.homeKit.set
+    this.log(
+      'stats: %d HomeKit gets (avg %d ms, max %d ms, %d errors, %d timeouts), ' +
+      '%d HomeKit sets (avg %d ms, max %d ms, %d errors, %d timeouts), ' +
+      'heartbeat drift max %d ms',
+      get.count, get.average, get.max, get.errors, get.timeouts,
+      set.count, set.average, set.max, set.errors, set.timeouts,
+      stats.heartbeat.max
+    )
+    for (const id in stats.accessories) {
+      const a = stats.accessories[id]
+      this._accessoryDelegates[id].debug(
+        'stats: %d gets (avg %d ms, max %d ms), %d sets (avg %d ms, max %d ms)',
+        a.get.count, a.get.average, a.get.max,
+        a.set.count, a.set.average, a.set.max
+      )
+    }
+    for (const name in stats.rest) {
+      const r = stats.rest[name]
+      this.debug(
+        'stats: %s: %d requests (avg %d ms, %d%% errors)',
+        name, r.requests, r.average, r.errorRate
+      )
+    }
+  }
+
+  // Register a shutdown handler for a delegate.
+  _addShutdownHandler (delegate, name, handler) {
+    this._shutdownHandlers.push({
+      delegate: delegate, name: name, handler: handler
+    })
+  }
+
+  // Remove the shutdown handlers of a delegate, or of the delegates of an
+  // accessory.
+  _removeShutdownHandlers (delegate) {
+    this._shutdownHandlers = this._shutdownHandlers.filter((entry) => {
+      return entry.delegate !== delegate &&
+        accessoryDelegateOf(entry.delegate) !== delegate
+    })
+  }
+
   // Remove accessory.
   _removeAccessory (accessory) {
     const className = accessory.context.className
     const id = accessory.context.id
     const name = accessory.context.name
-    const context = accessory.context.context
     const historyFile = accessory.context.historyFile
     if (historyFile) {
       this.debug('remove history file %s', historyFile)
@@ -362,6 +1309,50 @@ class Platform extends homebridgeLib.Delegate {
     delete this._accessories[id]
   }
 
+  // Remove services and characteristics not claimed by a delegate.
+  _removeOrphans () {
+    for (const id in this._accessoryDelegates) {
+      const delegate = this._accessoryDelegates[id]
+      if (delegate._removeOrphans() > 0) {
+        this._homebridge.updatePlatformAccessories([delegate._accessory])
+      }
+    }
+  }
+
+  // Remove cached accessories without delegate.
+  _removeStaleAccessories () {
+    for (const id in this._accessories) {
+      if (this._accessoryDelegates[id] != null) {
+        continue
+      }
+      const accessory = this._accessories[id]
+      const className = accessory.context.className
+      const name = accessory.context.name
+      let vetoed = false
+      /** Emitted when a cached accessory hasn't been re-created by the
+        * plugin, `staleTimeout` seconds after Homebridge has finished
+        * launching.
+        *
+        * The accessory is removed, unless the plugin calls `veto()`.
+        * @event Platform#accessoryStale
+        * @param {!string} className - The name of the
+        * {@link AccessoryDelegate#className class} of the accessory delegate.
+        * @param {object} context - The accessory
+        * {@link AccessoryDelegate#context context}.
+        * @param {function} veto - Function to call to keep the accessory.
+        */
+      this.emit('accessoryStale', className, accessory.context.context, () => {
+        vetoed = true
+      })
+      if (vetoed) {
+        this.debug('%s: keep stale %s %s', name, className, id)
+        continue
+      }
+      this.log('%s: remove stale %s %s', name, className, id)
+      this._removeAccessory(accessory)
+    }
+  }
+
   // Cleanup cached accessories.
   _cleanup () {
     const n = Object.keys(this._accessories).length
@@ -387,21 +1378,22 @@ class Platform extends homebridgeLib.Delegate {
     }
     this._upnpSearchInterval = config.searchInterval
     this._upnpMonitor = new homebridgeLib.UpnpClient(options)
+    const upnp = new SubsystemDelegate(this, 'upnp')
     this._upnpMonitor.on('listening', (host) => {
-      this.debug('upnp: listening on %s', host)
+      upnp.debug('listening on %s', host)
     })
     this._upnpMonitor.on('searching', (host) => {
-      this.debug('upnp: searching on %s', host)
+      upnp.debug('searching on %s', host)
     })
     this._upnpMonitor.on('searchDone', () => {
-      this.debug('upnp: search done')
+      upnp.debug('search done')
     })
     this._upnpMonitor.on('error', (error) => {
-      this.error('upnp: error')
-      this.error(error)
+      upnp.error('error')
+      upnp.error(error)
     })
     this._upnpMonitor.on('deviceAlive', (address, obj, message) => {
-      this.debug('upnp: device %s is alive: %j', address, obj)
+      upnp.debug('device %s is alive: %j', address, obj)
       /** Emitted when a UPnP device sends an alive message.
         * @event Platform#upnpDeviceAlive
         * @param {string} address - The device's IP address.
@@ -410,7 +1402,7 @@ class Platform extends homebridgeLib.Delegate {
       this.emit('upnpDeviceAlive', address, obj)
     })
     this._upnpMonitor.on('deviceFound', (address, obj, message) => {
-      this.debug('upnp: found device %s: %j', address, obj)
+      upnp.debug('found device %s: %j', address, obj)
       /** Emitted when a UPnP device responds to a search request.
         * @event Platform#upnpDeviceFound
         * @param {string} address - The device's IP address.
@@ -420,29 +1412,235 @@ class Platform extends homebridgeLib.Delegate {
     })
   }
 
+  // ===== Status Server =======================================================
+
+  // Start the local HTTP server for /status and /metrics.
+  _statusServerStart (port) {
+    const status = new SubsystemDelegate(this, 'status')
+    this._statusServer = http.createServer((request, response) => {
+      status.debug('%s %s', request.method, request.url)
+      if (request.method !== 'GET') {
+        response.writeHead(405, { Allow: 'GET' })
+        return response.end()
+      }
+      switch (request.url) {
+        case '/status':
+          response.writeHead(200, { 'Content-Type': 'application/json' })
+          return response.end(JSON.stringify(this._status()))
+        case '/metrics':
+          response.writeHead(200, {
+            'Content-Type': 'text/plain; version=0.0.4'
+          })
+          return response.end(this._metrics())
+        default:
+          response.writeHead(404)
+          return response.end()
+      }
+    })
+    this._statusServer.on('listening', () => {
+      status.log(
+        'listening on http://127.0.0.1:%d', this._statusServer.address().port
+      )
+    })
+    this._statusServer.on('error', (error) => {
+      status.error(error)
+    })
+    this._statusServer.listen(port, '127.0.0.1')
+  }
+
+  // Return the contents for /status.
+  _status () {
+    const status = {
+      platform: context.platformName,
+      plugin: context.pluginName,
+      version: context.pluginVersion,
+      stats: this.stats,
+      accessories: {}
+    }
+    for (const id in this._accessoryDelegates) {
+      const delegate = this._accessoryDelegates[id]
+      status.accessories[id] = {
+        name: delegate.name,
+        className: delegate.className,
+        reachable: delegate.reachable,
+        services: delegate._accessory.services.map((service) => {
+          const characteristics = {}
+          for (const characteristic of service.characteristics) {
+            characteristics[characteristic.displayName] = characteristic.value
+          }
+          return {
+            name: service.displayName,
+            type: service.UUID,
+            subtype: service.subtype,
+            characteristics: characteristics
+          }
+        })
+      }
+    }
+    return status
+  }
+
+  // Return the contents for /metrics, in Prometheus text format.
+  _metrics () {
+    const lines = []
+    const stats = this.stats
+    const platform = { platform: context.platformName }
+    function metric (name, type, help, samples) {
+      lines.push(`# HELP homebridge_lib_${name} ${help}`)
+      lines.push(`# TYPE homebridge_lib_${name} ${type}`)
+      for (const sample of samples) {
+        lines.push(
+          `homebridge_lib_${name}${formatLabels(sample.labels)} ${sample.value}`
+        )
+      }
+    }
+    const accessories = []
+    const requests = {
+      count: [], errors: [], timeouts: [], average: [], max: []
+    }
+    const values = []
+    for (const id in stats.accessories) {
+      const a = stats.accessories[id]
+      const labels = Object.assign({}, platform, { accessory: a.name, id: id })
+      accessories.push({ labels: labels, value: 1 })
+      for (const type of ['get', 'set']) {
+        for (const key in requests) {
+          requests[key].push({
+            labels: Object.assign({}, labels, { type: type }),
+            value: a[type][key]
+          })
+        }
+      }
+      for (const service of this._accessoryDelegates[id]._accessory.services) {
+        for (const characteristic of service.characteristics) {
+          let value = characteristic.value
+          if (typeof value === 'boolean') {
+            value = value ? 1 : 0
+          }
+          if (typeof value === 'number') {
+            values.push({
+              labels: Object.assign({}, labels, {
+                service: service.displayName,
+                characteristic: characteristic.displayName
+              }),
+              value: value
+            })
+          }
+        }
+      }
+    }
+    metric('uptime_seconds', 'gauge', 'Seconds since Homebridge finished launching.', [
+      { labels: platform, value: stats.uptime }
+    ])
+    metric('heartbeat_drift_max_milliseconds', 'gauge', 'Maximum heartbeat drift.', [
+      { labels: platform, value: stats.heartbeat.max }
+    ])
+    metric('accessory_info', 'gauge', 'Exposed accessories.', accessories)
+    metric('homekit_requests_total', 'counter', 'HomeKit requests.', requests.count)
+    metric('homekit_errors_total', 'counter', 'Failed HomeKit requests.', requests.errors)
+    metric('homekit_timeouts_total', 'counter', 'Timed out getters and setters.', requests.timeouts)
+    metric('homekit_response_average_milliseconds', 'gauge', 'Average HomeKit response time.', requests.average)
+    metric('homekit_response_max_milliseconds', 'gauge', 'Maximum HomeKit response time.', requests.max)
+    metric('characteristic_value', 'gauge', 'Numeric characteristic values.', values)
+    const rest = { requests: [], errors: [] }
+    for (const name in stats.rest) {
+      const labels = Object.assign({}, platform, { client: name })
+      rest.requests.push({ labels: labels, value: stats.rest[name].requests })
+      rest.errors.push({ labels: labels, value: stats.rest[name].errors })
+    }
+    metric('rest_requests_total', 'counter', 'REST API requests.', rest.requests)
+    metric('rest_errors_total', 'counter', 'Failed REST API requests.', rest.errors)
+    return lines.join('\n') + '\n'
+  }
+
   // ===== Logging =============================================================
 
+  // Setup the log levels from config.json, ignoring invalid entries.
+  _setLogLevels (config) {
+    const properties = configProperties.logLevel.properties
+    const shallowProperties = {}
+    for (const key in properties) {
+      shallowProperties[key] = { type: 'any' }
+    }
+    config = this._parseConfigValue('logLevel', config, {
+      type: 'object', properties: shallowProperties
+    }) || {}
+    this._logLevels = {
+      platform: this._parseConfigValue(
+        'logLevel.platform', config.platform, properties.platform
+      ),
+      accessories: [],
+      subsystems: this._parseConfigMembers(
+        'logLevel.subsystems', config.subsystems, properties.subsystems
+      )
+    }
+    const accessories = this._parseConfigMembers(
+      'logLevel.accessories', config.accessories, properties.accessories
+    )
+    for (const pattern in accessories) {
+      this._logLevels.accessories.push({
+        id: pattern, regExp: patternToRegExp(pattern), level: accessories[pattern]
+      })
+    }
+  }
+
+  // Return the log level for a delegate, or null for the default behaviour.
+  _logLevel (delegate) {
+    const levels = this._logLevels
+    if (levels == null) {
+      return null
+    }
+    if (levels.subsystems[delegate._subsystem] != null) {
+      return levels.subsystems[delegate._subsystem]
+    }
+    const accessoryDelegate = accessoryDelegateOf(delegate)
+    if (accessoryDelegate != null) {
+      for (const entry of levels.accessories) {
+        if (
+          entry.id === accessoryDelegate._id ||
+          entry.regExp.test(accessoryDelegate.name)
+        ) {
+          return entry.level
+        }
+      }
+    }
+    return levels.platform
+  }
+
+  // Open the file for structured log records.
+  _openJsonLog (filename) {
+    filename = path.resolve(this._homebridge.user.storagePath(), filename)
+    this._jsonLogFile = fs.createWriteStream(filename, { flags: 'a' })
+    this._jsonLogFile.on('error', (error) => {
+      this._jsonLogFile = null
+      this._jsonLog = null
+      this.error('%s: %s', filename, error.message)
+    })
+    this._jsonLog = this._jsonLogFile
+  }
+
   // Do the heavy lifting for debug(), error(), fatal(), log(), and warn(),
   // taking into account errors vs exceptions.
-  _message (level, namePrefix, format, ...args) {
+  _message (level, delegate, format, ...args) {
+    const namePrefix = delegate._namePrefix
+    const logLevel = this._logLevel(delegate)
+    if (logLevel != null) {
+      const index = logLevels.indexOf(level === 'fatal' ? 'error' : level)
+      if (index > logLevels.indexOf(logLevel)) {
+        return
+      }
+    }
     let message
 
     if (format == null) {
       message = ''
     } else if (format instanceof Error) {
-      switch (format.constructor.name) {
-        case 'AssertionError':
-        case 'RangeError':
-        case 'ReferenceError':
-        case 'SyntaxError':
-        case 'TypeError':
-          // Error: print stack trace.
-          message = format.stack
-          break
-        default:
-          // Exception: print message only.
-          message = format.message
-          break
+      if (this._isProgrammingError(format)) {
+        // Error: print stack trace.
+        message = format.stack
+      } else {
+        // Exception: print message only.
+        message = format.message
       }
     } else if (typeof (format) === 'string') {
       message = util.format(format, ...args)
@@ -452,8 +1650,21 @@ class Platform extends homebridgeLib.Delegate {
     } else {
       throw new TypeError('format: not a string or instance of Error')
     }
+    if (this._jsonLog != null) {
+      this._jsonLog.write(JSON.stringify(Object.assign({
+        timestamp: new Date().toISOString(),
+        level: level,
+        platform: context.platformName
+      }, delegate._logFields, { message: message })) + '\n')
+    }
     switch (level) {
       case 'debug':
+        if (logLevel === 'debug') {
+          // Print debug message, regardless of -D.
+          message = namePrefix + 'debug: ' + message
+          this._log(message)
+          break
+        }
         message = namePrefix + message
         this._log.debug(message)
         break
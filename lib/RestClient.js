@@ -8,16 +8,18 @@
 const homebridgeLib = require('../index')
 
 const debug = require('debug')
+const events = require('events')
 const request = require('request')
 
 let id = 0
 
 /** REST API client.
   */
-class RestClient {
+class RestClient extends events.EventEmitter {
   // ===== Constructor =========================================================
 
   constructor (options = {}) {
+    super()
     this._debug = debug('RestClient' + ++id)
     this._debug('constructor(%j)', options)
     this._options = {
@@ -55,6 +57,11 @@ class RestClient {
 
   // ===== Public methods ======================================================
 
+  // Name of the REST API server.
+  get name () {
+    return this._options.name
+  }
+
   // Retrieve resource.
   async get (resource = '/') {
     return this._request('GET', resource)
@@ -102,16 +109,23 @@ class RestClient {
         requestObj.body = body
       }
       this._debug('request(%j)', requestObj)
+      this.emit('request', method, resource)
+      const start = Date.now()
       request(requestObj, (err, response) => {
         this._debug('request(%j) => %j', requestObj, response)
+        const duration = Date.now() - start
         if (err) {
+          this.emit('requestError', method, resource, err, duration)
           return reject(err)
         }
         if (response.statusCode !== 200) {
-          return reject(new Error(
+          const error = new Error(
             `${this._options.name}: http status ${response.statusCode} on ${method} ${resource}`
-          ))
+          )
+          this.emit('requestError', method, resource, error, duration)
+          return reject(error)
         }
+        this.emit('response', method, resource, duration)
         return resolve(response.body)
       })
     })
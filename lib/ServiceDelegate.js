@@ -15,6 +15,8 @@ const fs = require('fs')
 const moment = require('moment')
 const util = require('util')
 
+const writeFile = util.promisify(fs.writeFile)
+
 /** Abstract superclass for a HomeKit service delegate.
   *
   * This delegate sets up a HomeKit service with the following HomeKit
@@ -43,6 +45,14 @@ class ServiceDelegate extends homebridgeLib.Delegate {
     * @param {?string} params.subtype - The subtype of the HomeKit service.
     * Needs to be specified when the accessory has multuple services of the
     * same type.
+    * @param {?object} params.logPolicy - The default log policy for the
+    * characteristics, see {@link CharacteristicDelegate}.
+    * @param {?boolean} params.primaryService - The service is the primary
+    * service of the accessory.
+    * @param {?ServiceDelegate} params.linkedTo - The delegate of the service
+    * to link this service to, e.g. the _Television_ service for an
+    * _Input Source_ service, see
+    * {@link ServiceDelegate#addLinkedService addLinkedService()}.
     */
   constructor (accessoryDelegate, params = {}) {
     if (!(accessoryDelegate instanceof homebridgeLib.AccessoryDelegate)) {
@@ -58,26 +68,67 @@ class ServiceDelegate extends homebridgeLib.Delegate {
     ) {
       throw new TypeError('params.Service: not a Service')
     }
+    if (params.linkedTo != null && !(params.linkedTo instanceof ServiceDelegate)) {
+      throw new TypeError('params.linkedTo: not a ServiceDelegate')
+    }
     this._accessoryDelegate = accessoryDelegate
     const Service = params.Service
+    this._Service = Service
     const subtype = params.subtype
     const id = subtype ? [Service.UUID, subtype].join('.') : Service.UUID
 
     // Get or create associated Service.
+    const accessory = accessoryDelegate._accessory
     this._service = subtype
-      ? accessoryDelegate._accessory.getServiceByUUIDAndSubType(Service, subtype)
-      : accessoryDelegate._accessory.getService(Service)
+      ? accessory.getServiceByUUIDAndSubType(Service, subtype)
+      : accessory.getService(Service)
+
+    // Setup persisted storage in ~/.homebridge/accessories/cachedAccessories.
+    if (accessory.context.contextVersions == null) {
+      accessory.context.contextVersions = {}
+    }
+    if (accessory.context[id] != null) {
+      const context = this._platform._migrateContext(
+        this, accessory.context[id], accessory.context.contextVersions[id]
+      )
+      if (context == null) {
+        // Rebuild the service from scratch.
+        if (this._service != null) {
+          accessory.removeService(this._service)
+          this._service = null
+        }
+        delete accessory.context[id]
+      } else {
+        accessory.context[id] = context
+      }
+    }
+    if (accessory.context[id] == null) {
+      accessory.context[id] = {}
+    }
+    accessory.context.contextVersions[id] = this.constructor.contextVersion
+    this._context = accessory.context[id]
+
     if (this._service == null) {
-      this._service = accessoryDelegate._accessory.addService(
-        new Service(this.name, subtype)
+      this._service = this._platform._addService(
+        accessoryDelegate, new Service(this.name, subtype)
       )
     }
 
-    // Setup persisted storage in ~/.homebridge/accessories/cachedAccessories.
-    if (accessoryDelegate._accessory.context[id] == null) {
-      accessoryDelegate._accessory.context[id] = {}
+    if (accessory.services.includes(this._service)) {
+      accessoryDelegate._serviceDelegates[id] = this
+    } else {
+      // Not exposed to HomeKit: don't persist nor manage the service.
+      delete accessory.context[id]
+      delete accessory.context.contextVersions[id]
+    }
+
+    // Setup primary service and linked services.
+    this._setPrimaryService(!!params.primaryService)
+    this._linkedServiceDelegates = []
+    if (params.linkedTo != null) {
+      params.linkedTo.addLinkedService(this)
     }
-    this._context = accessoryDelegate._accessory.context[id]
+    this._logPolicy = params.logPolicy
 
     // Setup shortcut for characteristic values.
     this._values = {}
@@ -90,30 +141,179 @@ class ServiceDelegate extends homebridgeLib.Delegate {
         characteristic.value = params[key]
       }
       if (!characteristic.isOptional || characteristic.value != null) {
-        // Create characteristic delegate.
-        const characteristicDelegate = new homebridgeLib.CharacteristicDelegate(
-          this, characteristic
-        )
-        this._characteristicDelegates[key] = characteristicDelegate
-        // Create shortcut for characteristic value.
-        Object.defineProperty(this.values, key, {
-          writeable: true,
-          get () { return characteristicDelegate.value },
-          set (value) { characteristicDelegate.value = value }
-        })
+        this._addCharacteristicDelegate(characteristic)
       }
     }
 
+    // Claim StatusFault, restored after being added on a fault, see
+    // AccessoryDelegate#_updateStatusFault().
+    const StatusFault = this.Characteristic.hap.StatusFault
+    if (
+      this._characteristicDelegates.statusFault == null &&
+      this._service.testCharacteristic(StatusFault)
+    ) {
+      this._addCharacteristicDelegate({
+        key: 'statusFault', Characteristic: StatusFault
+      })
+    }
+
     // Setup name
     this.name = params.name
   }
 
+  // Create a characteristic delegate, and a shortcut for its value.
+  _addCharacteristicDelegate (characteristic) {
+    const key = characteristic.key
+    const characteristicDelegate = new homebridgeLib.CharacteristicDelegate(
+      this, characteristic
+    )
+    this._characteristicDelegates[key] = characteristicDelegate
+    Object.defineProperty(this.values, key, {
+      writeable: true,
+      get () { return characteristicDelegate.value },
+      set (value) { characteristicDelegate.value = value }
+    })
+    return characteristicDelegate
+  }
+
+  /** Version of the layout of the persisted context of the service.
+    *
+    * The context holds the values of the characteristics, by key.
+    * A plugin that changes the keys or the units of the characteristics of a
+    * service delegate class should override this static getter to return a
+    * higher version, and provide the functions to migrate the context in
+    * {@link ServiceDelegate.contextMigrations contextMigrations}.
+    * When the context cannot be migrated, the service is rebuilt from
+    * scratch, using the values from `params`.
+    * @type {integer}
+    * @readonly
+    */
+  static get contextVersion () {
+    return 1
+  }
+
+  /** Functions to migrate the persisted context of the service, by version.
+    *
+    * Each function takes the context in the previous version, and returns
+    * the context in its version.
+    * A function should throw an error when it cannot migrate the context.
+    * @type {object}
+    * @readonly
+    */
+  static get contextMigrations () {
+    return {}
+  }
+
   get _characteristics () {
     return [
       { key: 'name', Characteristic: this.Characteristic.hap.Name }
     ]
   }
 
+  // Whether HomeKit reads should fail.
+  get _noResponse () {
+    return this._accessoryDelegate._noResponse
+  }
+
+  /** Link a service to this service.
+    *
+    * For example, link the _Input Source_ services to the _Television_
+    * service, or the _Battery_ service to the main service of a sensor.
+    * Links restored from persistent storage, that are no longer made by the
+    * plugin, are removed, together with orphaned services and
+    * characteristics, see {@link Platform.removeOrphans removeOrphans}.
+    * @param {!ServiceDelegate} serviceDelegate - The delegate of the service
+    * to link.
+    */
+  addLinkedService (serviceDelegate) {
+    if (!(serviceDelegate instanceof ServiceDelegate)) {
+      throw new TypeError('serviceDelegate: not a ServiceDelegate')
+    }
+    if (serviceDelegate._accessoryDelegate !== this._accessoryDelegate) {
+      throw new RangeError(
+        `serviceDelegate: ${serviceDelegate.name}: not a service of this accessory`
+      )
+    }
+    if (!this._linkedServiceDelegates.includes(serviceDelegate)) {
+      this._linkedServiceDelegates.push(serviceDelegate)
+    }
+    if (!this._service.linkedServices.includes(serviceDelegate._service)) {
+      this._service.addLinkedService(serviceDelegate._service)
+    }
+  }
+
+  /** Unlink a service, linked by
+    * {@link ServiceDelegate#addLinkedService addLinkedService()}.
+    * @param {!ServiceDelegate} serviceDelegate - The delegate of the linked
+    * service.
+    */
+  removeLinkedService (serviceDelegate) {
+    const index = this._linkedServiceDelegates.indexOf(serviceDelegate)
+    if (index !== -1) {
+      this._linkedServiceDelegates.splice(index, 1)
+      this._service.removeLinkedService(serviceDelegate._service)
+    }
+  }
+
+  // Set or clear the primary service flag of the associated service.
+  // Only one service of an accessory can be the primary service.
+  _setPrimaryService (isPrimary) {
+    if (isPrimary) {
+      for (const service of this._accessoryDelegate._accessory.services) {
+        if (service !== this._service && service.isPrimaryService) {
+          service.setPrimaryService(false)
+        }
+      }
+    }
+    if (!!this._service.isPrimaryService !== isPrimary) {
+      this._service.setPrimaryService(isPrimary)
+    }
+  }
+
+  // Clean up, when the service delegate is removed, see
+  // AccessoryDelegate#removeServiceDelegate().
+  _remove () {
+    for (const key in this._characteristicDelegates) {
+      this._characteristicDelegates[key]._remove()
+    }
+    this.removeAllListeners()
+    this._platform._removeShutdownHandlers(this)
+  }
+
+  // Remove the characteristics of the associated service, that aren't
+  // claimed by a delegate, nor required for the service type.
+  // Return the number removed.
+  _removeOrphans () {
+    const claimed = []
+    for (const key in this._characteristicDelegates) {
+      claimed.push(this._characteristicDelegates[key]._characteristic)
+    }
+    const required = new this._Service().characteristics.map((c) => c.UUID)
+    let n = 0
+    for (const characteristic of this._service.characteristics.slice()) {
+      if (
+        claimed.includes(characteristic) ||
+        required.includes(characteristic.UUID)
+      ) {
+        continue
+      }
+      this.debug(
+        'remove orphaned characteristic %s', characteristic.displayName
+      )
+      this._service.removeCharacteristic(characteristic)
+      n++
+    }
+    const linked = this._linkedServiceDelegates.map((d) => d._service)
+    for (const service of this._service.linkedServices.slice()) {
+      if (!linked.includes(service)) {
+        this.debug('remove orphaned link to %s', service.displayName)
+        this._service.removeLinkedService(service)
+        n++
+      }
+    }
+    return n
+  }
+
   /** Specifcation of the HomeKit characteristics for the HomeKit service.
     * @abstract
     * @readonly
@@ -135,6 +335,24 @@ class ServiceDelegate extends homebridgeLib.Delegate {
     * HomeKit reads the characteristic value.<br>
     * This must be an `async` function returning a `Promise` to the
     * characteristic value.
+    * @property {?function} Specification[].setter - Function to invoke when
+    * HomeKit writes the characteristic value.<br>
+    * This must be an `async` function taking the new value, which throws an
+    * error when the device rejects the change.
+    * @property {?integer} Specification[].timeout - Timeout in milliseconds
+    * for the getter and setter, see {@link CharacteristicDelegate}.
+    * @property {?integer} Specification[].debounce - Time window in
+    * milliseconds to coalesce HomeKit writes, see
+    * {@link CharacteristicDelegate}.
+    * @property {?string} Specification[].converter - Name of a built-in
+    * converter between device units and HomeKit units, see
+    * {@link CharacteristicDelegate.converters}.
+    * @property {?function} Specification[].toHomeKit - Function to convert a
+    * value in device units to the HomeKit value.
+    * @property {?function} Specification[].fromHomeKit - Function to convert
+    * a HomeKit value to device units.
+    * @property {?object} Specification[].logPolicy - How to log value
+    * changes, see {@link CharacteristicDelegate}.
     */
   get characteristics () {
     return []
@@ -153,6 +371,10 @@ class ServiceDelegate extends homebridgeLib.Delegate {
     }
   }
 
+  get _logFields () {
+    return { accessory: this._accessoryDelegate.name, service: this.name }
+  }
+
   /** Values of the HomeKit characteristics for the HomeKit service.
     *
     * Contains the key of each specification in {@link ServiceDelegate#characteristics
@@ -176,7 +398,17 @@ class ServiceDelegate extends homebridgeLib.Delegate {
   }
 
   static get AccessoryInformation () { return AccessoryInformation }
+  static get Battery () { return Battery }
+  static get ContactSensor () { return ContactSensor }
   static get History () { return History }
+  static get HumiditySensor () { return HumiditySensor }
+  static get Lightbulb () { return Lightbulb }
+  static get MotionSensor () { return MotionSensor }
+  static get Outlet () { return Outlet }
+  static get Switch () { return Switch }
+  static get TemperatureSensor () { return TemperatureSensor }
+  static get Thermostat () { return Thermostat }
+  static get WindowCovering () { return WindowCovering }
 }
 
 /** Class for an _AccessoryInformation_ service delegate.
@@ -223,6 +455,11 @@ class AccessoryInformation extends ServiceDelegate {
     super(accessoryDelegate, params)
   }
 
+  // Keep the accessory information readable while unreachable.
+  get _noResponse () {
+    return false
+  }
+
   get _characteristics () {
     return super._characteristics.concat([
       {
@@ -255,6 +492,628 @@ class AccessoryInformation extends ServiceDelegate {
   }
 }
 
+// Return the specifications for the optional sensor status characteristics.
+function sensorStatusCharacteristics (Characteristic) {
+  return [
+    {
+      key: 'statusActive',
+      Characteristic: Characteristic.hap.StatusActive,
+      isOptional: true
+    },
+    {
+      key: 'statusFault',
+      Characteristic: Characteristic.hap.StatusFault,
+      isOptional: true
+    },
+    {
+      key: 'statusTampered',
+      Characteristic: Characteristic.hap.StatusTampered,
+      isOptional: true
+    },
+    {
+      key: 'statusLowBattery',
+      Characteristic: Characteristic.hap.StatusLowBattery,
+      isOptional: true
+    }
+  ]
+}
+
+/** Class for a _Battery_ service delegate.
+  *
+  * This delegate sets up a `Service.hap.BatteryService` HomeKit service
+  * with the following HomeKit characteristics:
+  *
+  * key             | Characteristic                        | isOptional
+  * --------------- | ------------------------------------- | ----------
+  * `name`          | `Characteristic.hap.Name`             |
+  * `batteryLevel`  | `Characteristic.hap.BatteryLevel`     |
+  * `chargingState` | `Characteristic.hap.ChargingState`    |
+  * `lowBattery`    | `Characteristic.hap.StatusLowBattery` |
+  * @extends ServiceDelegate
+  * @memberof ServiceDelegate
+  */
+class Battery extends ServiceDelegate {
+  /** Create a new instance of a _Battery_ service delegate.
+    * @param {!AccessoryDelegate} accessoryDelegate - The delegate of the
+    * corresponding HomeKit accessory.
+    * @param {!object} params - The parameters for the
+    * _Battery_ HomeKit service.
+    * @param {!string} params.name - Initial value for
+    * `Characteristic.hap.Name`. Also used to prefix log and error messages.
+    * @param {?string} params.subtype - The subtype of the HomeKit service.
+    * @param {?integer} params.batteryLevel - Initial value for
+    * `Characteristic.hap.BatteryLevel`.
+    * @param {?integer} [params.chargingState=2] - Initial value for
+    * `Characteristic.hap.ChargingState`.<br>
+    * The default is _Not Chargeable_.
+    * @param {?integer} [params.lowBattery=0] - Initial value for
+    * `Characteristic.hap.StatusLowBattery`.
+    */
+  constructor (accessoryDelegate, params = {}) {
+    params.Service = accessoryDelegate.Service.hap.BatteryService
+    if (params.chargingState == null) {
+      params.chargingState = 2
+    }
+    if (params.lowBattery == null) {
+      params.lowBattery = 0
+    }
+    super(accessoryDelegate, params)
+  }
+
+  get _characteristics () {
+    return super._characteristics.concat([
+      {
+        key: 'batteryLevel',
+        Characteristic: this.Characteristic.hap.BatteryLevel
+      },
+      {
+        key: 'chargingState',
+        Characteristic: this.Characteristic.hap.ChargingState
+      },
+      {
+        key: 'lowBattery',
+        Characteristic: this.Characteristic.hap.StatusLowBattery
+      }
+    ])
+  }
+}
+
+/** Class for a _Contact Sensor_ service delegate.
+  *
+  * This delegate sets up a `Service.hap.ContactSensor` HomeKit service
+  * with the following HomeKit characteristics:
+  *
+  * key                | Characteristic                          | isOptional
+  * ------------------ | --------------------------------------- | ----------
+  * `name`             | `Characteristic.hap.Name`               |
+  * `contact`          | `Characteristic.hap.ContactSensorState` |
+  * `statusActive`     | `Characteristic.hap.StatusActive`       | Y
+  * `statusFault`      | `Characteristic.hap.StatusFault`        | Y
+  * `statusTampered`   | `Characteristic.hap.StatusTampered`     | Y
+  * `statusLowBattery` | `Characteristic.hap.StatusLowBattery`   | Y
+  * @extends ServiceDelegate
+  * @memberof ServiceDelegate
+  */
+class ContactSensor extends ServiceDelegate {
+  /** Create a new instance of a _Contact Sensor_ service delegate.
+    * @param {!AccessoryDelegate} accessoryDelegate - The delegate of the
+    * corresponding HomeKit accessory.
+    * @param {!object} params - The parameters for the
+    * _Contact Sensor_ HomeKit service.
+    * @param {!string} params.name - Initial value for
+    * `Characteristic.hap.Name`. Also used to prefix log and error messages.
+    * @param {?string} params.subtype - The subtype of the HomeKit service.
+    * @param {?integer} [params.contact=0] - Initial value for
+    * `Characteristic.hap.ContactSensorState`.<br>
+    * The default is _Contact Detected_, i.e. closed.
+    */
+  constructor (accessoryDelegate, params = {}) {
+    params.Service = accessoryDelegate.Service.hap.ContactSensor
+    if (params.contact == null) {
+      params.contact = 0
+    }
+    super(accessoryDelegate, params)
+  }
+
+  get _characteristics () {
+    return super._characteristics.concat([
+      {
+        key: 'contact',
+        Characteristic: this.Characteristic.hap.ContactSensorState
+      }
+    ], sensorStatusCharacteristics(this.Characteristic))
+  }
+}
+
+/** Class for a _Humidity Sensor_ service delegate.
+  *
+  * This delegate sets up a `Service.hap.HumiditySensor` HomeKit service
+  * with the following HomeKit characteristics:
+  *
+  * key                | Characteristic                               | isOptional
+  * ------------------ | -------------------------------------------- | ----------
+  * `name`             | `Characteristic.hap.Name`                    |
+  * `humidity`         | `Characteristic.hap.CurrentRelativeHumidity` |
+  * `statusActive`     | `Characteristic.hap.StatusActive`            | Y
+  * `statusFault`      | `Characteristic.hap.StatusFault`             | Y
+  * `statusTampered`   | `Characteristic.hap.StatusTampered`          | Y
+  * `statusLowBattery` | `Characteristic.hap.StatusLowBattery`        | Y
+  * @extends ServiceDelegate
+  * @memberof ServiceDelegate
+  */
+class HumiditySensor extends ServiceDelegate {
+  /** Create a new instance of a _Humidity Sensor_ service delegate.
+    * @param {!AccessoryDelegate} accessoryDelegate - The delegate of the
+    * corresponding HomeKit accessory.
+    * @param {!object} params - The parameters for the
+    * _Humidity Sensor_ HomeKit service.
+    * @param {!string} params.name - Initial value for
+    * `Characteristic.hap.Name`. Also used to prefix log and error messages.
+    * @param {?string} params.subtype - The subtype of the HomeKit service.
+    * @param {?number} params.humidity - Initial value for
+    * `Characteristic.hap.CurrentRelativeHumidity`.
+    */
+  constructor (accessoryDelegate, params = {}) {
+    params.Service = accessoryDelegate.Service.hap.HumiditySensor
+    super(accessoryDelegate, params)
+  }
+
+  get _characteristics () {
+    return super._characteristics.concat([
+      {
+        key: 'humidity',
+        Characteristic: this.Characteristic.hap.CurrentRelativeHumidity
+      }
+    ], sensorStatusCharacteristics(this.Characteristic))
+  }
+}
+
+/** Class for a _Lightbulb_ service delegate.
+  *
+  * This delegate sets up a `Service.hap.Lightbulb` HomeKit service
+  * with the following HomeKit characteristics:
+  *
+  * key                | Characteristic                        | isOptional
+  * ------------------ | ------------------------------------- | ----------
+  * `name`             | `Characteristic.hap.Name`             |
+  * `on`               | `Characteristic.hap.On`               |
+  * `brightness`       | `Characteristic.hap.Brightness`       | Y
+  * `hue`              | `Characteristic.hap.Hue`              | Y
+  * `saturation`       | `Characteristic.hap.Saturation`       | Y
+  * `colorTemperature` | `Characteristic.hap.ColorTemperature` | Y
+  * @extends ServiceDelegate
+  * @memberof ServiceDelegate
+  */
+class Lightbulb extends ServiceDelegate {
+  /** Create a new instance of a _Lightbulb_ service delegate.
+    * @param {!AccessoryDelegate} accessoryDelegate - The delegate of the
+    * corresponding HomeKit accessory.
+    * @param {!object} params - The parameters for the
+    * _Lightbulb_ HomeKit service.
+    * @param {!string} params.name - Initial value for
+    * `Characteristic.hap.Name`. Also used to prefix log and error messages.
+    * @param {?string} params.subtype - The subtype of the HomeKit service.
+    * @param {?boolean} [params.on=false] - Initial value for
+    * `Characteristic.hap.On`.
+    * @param {?integer} params.brightness - Initial value for
+    * `Characteristic.hap.Brightness`.<br>
+    * Specify for a dimmable light.
+    * @param {?number} params.hue - Initial value for
+    * `Characteristic.hap.Hue`.<br>
+    * Specify, together with `params.saturation`, for a colour light.
+    * @param {?number} params.saturation - Initial value for
+    * `Characteristic.hap.Saturation`.
+    * @param {?integer} params.colorTemperature - Initial value for
+    * `Characteristic.hap.ColorTemperature`, in mired.<br>
+    * Specify for a white spectrum light.
+    */
+  constructor (accessoryDelegate, params = {}) {
+    params.Service = accessoryDelegate.Service.hap.Lightbulb
+    if (params.on == null) {
+      params.on = false
+    }
+    super(accessoryDelegate, params)
+  }
+
+  get _characteristics () {
+    return super._characteristics.concat([
+      {
+        key: 'on',
+        Characteristic: this.Characteristic.hap.On
+      },
+      {
+        key: 'brightness',
+        Characteristic: this.Characteristic.hap.Brightness,
+        isOptional: true
+      },
+      {
+        key: 'hue',
+        Characteristic: this.Characteristic.hap.Hue,
+        isOptional: true
+      },
+      {
+        key: 'saturation',
+        Characteristic: this.Characteristic.hap.Saturation,
+        isOptional: true
+      },
+      {
+        key: 'colorTemperature',
+        Characteristic: this.Characteristic.hap.ColorTemperature,
+        isOptional: true
+      }
+    ])
+  }
+}
+
+/** Class for a _Motion Sensor_ service delegate.
+  *
+  * This delegate sets up a `Service.hap.MotionSensor` HomeKit service
+  * with the following HomeKit characteristics:
+  *
+  * key                | Characteristic                        | isOptional
+  * ------------------ | ------------------------------------- | ----------
+  * `name`             | `Characteristic.hap.Name`             |
+  * `motion`           | `Characteristic.hap.MotionDetected`   |
+  * `statusActive`     | `Characteristic.hap.StatusActive`     | Y
+  * `statusFault`      | `Characteristic.hap.StatusFault`      | Y
+  * `statusTampered`   | `Characteristic.hap.StatusTampered`   | Y
+  * `statusLowBattery` | `Characteristic.hap.StatusLowBattery` | Y
+  * @extends ServiceDelegate
+  * @memberof ServiceDelegate
+  */
+class MotionSensor extends ServiceDelegate {
+  /** Create a new instance of a _Motion Sensor_ service delegate.
+    * @param {!AccessoryDelegate} accessoryDelegate - The delegate of the
+    * corresponding HomeKit accessory.
+    * @param {!object} params - The parameters for the
+    * _Motion Sensor_ HomeKit service.
+    * @param {!string} params.name - Initial value for
+    * `Characteristic.hap.Name`. Also used to prefix log and error messages.
+    * @param {?string} params.subtype - The subtype of the HomeKit service.
+    * @param {?boolean} [params.motion=false] - Initial value for
+    * `Characteristic.hap.MotionDetected`.
+    */
+  constructor (accessoryDelegate, params = {}) {
+    params.Service = accessoryDelegate.Service.hap.MotionSensor
+    if (params.motion == null) {
+      params.motion = false
+    }
+    super(accessoryDelegate, params)
+  }
+
+  get _characteristics () {
+    return super._characteristics.concat([
+      {
+        key: 'motion',
+        Characteristic: this.Characteristic.hap.MotionDetected
+      }
+    ], sensorStatusCharacteristics(this.Characteristic))
+  }
+}
+
+/** Class for an _Outlet_ service delegate.
+  *
+  * This delegate sets up a `Service.hap.Outlet` HomeKit service
+  * with the following HomeKit characteristics:
+  *
+  * key     | Characteristic                   | isOptional
+  * ------- | -------------------------------- | ----------
+  * `name`  | `Characteristic.hap.Name`        |
+  * `on`    | `Characteristic.hap.On`          |
+  * `inUse` | `Characteristic.hap.OutletInUse` |
+  * @extends ServiceDelegate
+  * @memberof ServiceDelegate
+  */
+class Outlet extends ServiceDelegate {
+  /** Create a new instance of an _Outlet_ service delegate.
+    * @param {!AccessoryDelegate} accessoryDelegate - The delegate of the
+    * corresponding HomeKit accessory.
+    * @param {!object} params - The parameters for the
+    * _Outlet_ HomeKit service.
+    * @param {!string} params.name - Initial value for
+    * `Characteristic.hap.Name`. Also used to prefix log and error messages.
+    * @param {?string} params.subtype - The subtype of the HomeKit service.
+    * @param {?boolean} [params.on=false] - Initial value for
+    * `Characteristic.hap.On`.
+    * @param {?boolean} [params.inUse=true] - Initial value for
+    * `Characteristic.hap.OutletInUse`.
+    */
+  constructor (accessoryDelegate, params = {}) {
+    params.Service = accessoryDelegate.Service.hap.Outlet
+    if (params.on == null) {
+      params.on = false
+    }
+    if (params.inUse == null) {
+      params.inUse = true
+    }
+    super(accessoryDelegate, params)
+  }
+
+  get _characteristics () {
+    return super._characteristics.concat([
+      {
+        key: 'on',
+        Characteristic: this.Characteristic.hap.On
+      },
+      {
+        key: 'inUse',
+        Characteristic: this.Characteristic.hap.OutletInUse
+      }
+    ])
+  }
+}
+
+/** Class for a _Switch_ service delegate.
+  *
+  * This delegate sets up a `Service.hap.Switch` HomeKit service
+  * with the following HomeKit characteristics:
+  *
+  * key    | Characteristic            | isOptional
+  * ------ | ------------------------- | ----------
+  * `name` | `Characteristic.hap.Name` |
+  * `on`   | `Characteristic.hap.On`   |
+  * @extends ServiceDelegate
+  * @memberof ServiceDelegate
+  */
+class Switch extends ServiceDelegate {
+  /** Create a new instance of a _Switch_ service delegate.
+    * @param {!AccessoryDelegate} accessoryDelegate - The delegate of the
+    * corresponding HomeKit accessory.
+    * @param {!object} params - The parameters for the
+    * _Switch_ HomeKit service.
+    * @param {!string} params.name - Initial value for
+    * `Characteristic.hap.Name`. Also used to prefix log and error messages.
+    * @param {?string} params.subtype - The subtype of the HomeKit service.
+    * @param {?boolean} [params.on=false] - Initial value for
+    * `Characteristic.hap.On`.
+    */
+  constructor (accessoryDelegate, params = {}) {
+    params.Service = accessoryDelegate.Service.hap.Switch
+    if (params.on == null) {
+      params.on = false
+    }
+    super(accessoryDelegate, params)
+  }
+
+  get _characteristics () {
+    return super._characteristics.concat([
+      {
+        key: 'on',
+        Characteristic: this.Characteristic.hap.On
+      }
+    ])
+  }
+}
+
+/** Class for a _Temperature Sensor_ service delegate.
+  *
+  * This delegate sets up a `Service.hap.TemperatureSensor` HomeKit service
+  * with the following HomeKit characteristics:
+  *
+  * key                | Characteristic                          | isOptional
+  * ------------------ | --------------------------------------- | ----------
+  * `name`             | `Characteristic.hap.Name`               |
+  * `temperature`      | `Characteristic.hap.CurrentTemperature` |
+  * `statusActive`     | `Characteristic.hap.StatusActive`       | Y
+  * `statusFault`      | `Characteristic.hap.StatusFault`        | Y
+  * `statusTampered`   | `Characteristic.hap.StatusTampered`     | Y
+  * `statusLowBattery` | `Characteristic.hap.StatusLowBattery`   | Y
+  *
+  * The range of `Characteristic.hap.CurrentTemperature` is extended
+  * to -40°C, for outdoor sensors.
+  * @extends ServiceDelegate
+  * @memberof ServiceDelegate
+  */
+class TemperatureSensor extends ServiceDelegate {
+  /** Create a new instance of a _Temperature Sensor_ service delegate.
+    * @param {!AccessoryDelegate} accessoryDelegate - The delegate of the
+    * corresponding HomeKit accessory.
+    * @param {!object} params - The parameters for the
+    * _Temperature Sensor_ HomeKit service.
+    * @param {!string} params.name - Initial value for
+    * `Characteristic.hap.Name`. Also used to prefix log and error messages.
+    * @param {?string} params.subtype - The subtype of the HomeKit service.
+    * @param {?number} params.temperature - Initial value for
+    * `Characteristic.hap.CurrentTemperature`, in °C.
+    */
+  constructor (accessoryDelegate, params = {}) {
+    params.Service = accessoryDelegate.Service.hap.TemperatureSensor
+    super(accessoryDelegate, params)
+  }
+
+  get _characteristics () {
+    return super._characteristics.concat([
+      {
+        key: 'temperature',
+        Characteristic: this.Characteristic.hap.CurrentTemperature,
+        props: { minValue: -40, maxValue: 100 }
+      }
+    ], sensorStatusCharacteristics(this.Characteristic))
+  }
+}
+
+/** Class for a _Thermostat_ service delegate.
+  *
+  * This delegate sets up a `Service.hap.Thermostat` HomeKit service
+  * with the following HomeKit characteristics:
+  *
+  * key                  | Characteristic                                   | isOptional
+  * -------------------- | ------------------------------------------------ | ----------
+  * `name`               | `Characteristic.hap.Name`                        |
+  * `currentState`       | `Characteristic.hap.CurrentHeatingCoolingState`  |
+  * `targetState`        | `Characteristic.hap.TargetHeatingCoolingState`   |
+  * `currentTemperature` | `Characteristic.hap.CurrentTemperature`          |
+  * `targetTemperature`  | `Characteristic.hap.TargetTemperature`           |
+  * `temperatureUnit`    | `Characteristic.hap.TemperatureDisplayUnits`     |
+  * `humidity`           | `Characteristic.hap.CurrentRelativeHumidity`     | Y
+  * `coolingThreshold`   | `Characteristic.hap.CoolingThresholdTemperature` | Y
+  * `heatingThreshold`   | `Characteristic.hap.HeatingThresholdTemperature` | Y
+  *
+  * The range of `Characteristic.hap.CurrentTemperature` is extended
+  * to -40°C, for thermostats reporting an outdoor temperature.
+  * @extends ServiceDelegate
+  * @memberof ServiceDelegate
+  */
+class Thermostat extends ServiceDelegate {
+  /** Create a new instance of a _Thermostat_ service delegate.
+    * @param {!AccessoryDelegate} accessoryDelegate - The delegate of the
+    * corresponding HomeKit accessory.
+    * @param {!object} params - The parameters for the
+    * _Thermostat_ HomeKit service.
+    * @param {!string} params.name - Initial value for
+    * `Characteristic.hap.Name`. Also used to prefix log and error messages.
+    * @param {?string} params.subtype - The subtype of the HomeKit service.
+    * @param {?integer} [params.currentState=0] - Initial value for
+    * `Characteristic.hap.CurrentHeatingCoolingState`.
+    * @param {?integer} [params.targetState=0] - Initial value for
+    * `Characteristic.hap.TargetHeatingCoolingState`.
+    * @param {?number} params.currentTemperature - Initial value for
+    * `Characteristic.hap.CurrentTemperature`, in °C.
+    * @param {?number} params.targetTemperature - Initial value for
+    * `Characteristic.hap.TargetTemperature`, in °C.
+    * @param {?integer} [params.temperatureUnit=0] - Initial value for
+    * `Characteristic.hap.TemperatureDisplayUnits`.<br>
+    * The default is Celsius.
+    * @param {?number} params.humidity - Initial value for
+    * `Characteristic.hap.CurrentRelativeHumidity`.
+    * @param {?number} params.coolingThreshold - Initial value for
+    * `Characteristic.hap.CoolingThresholdTemperature`, in °C.
+    * @param {?number} params.heatingThreshold - Initial value for
+    * `Characteristic.hap.HeatingThresholdTemperature`, in °C.
+    */
+  constructor (accessoryDelegate, params = {}) {
+    params.Service = accessoryDelegate.Service.hap.Thermostat
+    if (params.currentState == null) {
+      params.currentState = 0
+    }
+    if (params.targetState == null) {
+      params.targetState = 0
+    }
+    if (params.temperatureUnit == null) {
+      params.temperatureUnit = 0
+    }
+    super(accessoryDelegate, params)
+  }
+
+  get _characteristics () {
+    return super._characteristics.concat([
+      {
+        key: 'currentState',
+        Characteristic: this.Characteristic.hap.CurrentHeatingCoolingState
+      },
+      {
+        key: 'targetState',
+        Characteristic: this.Characteristic.hap.TargetHeatingCoolingState
+      },
+      {
+        key: 'currentTemperature',
+        Characteristic: this.Characteristic.hap.CurrentTemperature,
+        props: { minValue: -40, maxValue: 100 }
+      },
+      {
+        key: 'targetTemperature',
+        Characteristic: this.Characteristic.hap.TargetTemperature
+      },
+      {
+        key: 'temperatureUnit',
+        Characteristic: this.Characteristic.hap.TemperatureDisplayUnits
+      },
+      {
+        key: 'humidity',
+        Characteristic: this.Characteristic.hap.CurrentRelativeHumidity,
+        isOptional: true
+      },
+      {
+        key: 'coolingThreshold',
+        Characteristic: this.Characteristic.hap.CoolingThresholdTemperature,
+        isOptional: true
+      },
+      {
+        key: 'heatingThreshold',
+        Characteristic: this.Characteristic.hap.HeatingThresholdTemperature,
+        isOptional: true
+      }
+    ])
+  }
+}
+
+/** Class for a _Window Covering_ service delegate.
+  *
+  * This delegate sets up a `Service.hap.WindowCovering` HomeKit service
+  * with the following HomeKit characteristics:
+  *
+  * key                   | Characteristic                           | isOptional
+  * --------------------- | ---------------------------------------- | ----------
+  * `name`                | `Characteristic.hap.Name`                |
+  * `currentPosition`     | `Characteristic.hap.CurrentPosition`     |
+  * `targetPosition`      | `Characteristic.hap.TargetPosition`      |
+  * `positionState`       | `Characteristic.hap.PositionState`       |
+  * `holdPosition`        | `Characteristic.hap.HoldPosition`        | Y
+  * `obstructionDetected` | `Characteristic.hap.ObstructionDetected` | Y
+  * @extends ServiceDelegate
+  * @memberof ServiceDelegate
+  */
+class WindowCovering extends ServiceDelegate {
+  /** Create a new instance of a _Window Covering_ service delegate.
+    * @param {!AccessoryDelegate} accessoryDelegate - The delegate of the
+    * corresponding HomeKit accessory.
+    * @param {!object} params - The parameters for the
+    * _Window Covering_ HomeKit service.
+    * @param {!string} params.name - Initial value for
+    * `Characteristic.hap.Name`. Also used to prefix log and error messages.
+    * @param {?string} params.subtype - The subtype of the HomeKit service.
+    * @param {?integer} params.currentPosition - Initial value for
+    * `Characteristic.hap.CurrentPosition`.
+    * @param {?integer} params.targetPosition - Initial value for
+    * `Characteristic.hap.TargetPosition`.<br>
+    * Defaults to `params.currentPosition`.
+    * @param {?integer} [params.positionState=2] - Initial value for
+    * `Characteristic.hap.PositionState`.<br>
+    * The default is _Stopped_.
+    * @param {?boolean} params.holdPosition - Specify, with any value,
+    * to enable `Characteristic.hap.HoldPosition`.
+    * @param {?boolean} params.obstructionDetected - Initial value for
+    * `Characteristic.hap.ObstructionDetected`.
+    */
+  constructor (accessoryDelegate, params = {}) {
+    params.Service = accessoryDelegate.Service.hap.WindowCovering
+    if (params.targetPosition == null) {
+      params.targetPosition = params.currentPosition
+    }
+    if (params.positionState == null) {
+      params.positionState = 2
+    }
+    super(accessoryDelegate, params)
+  }
+
+  get _characteristics () {
+    return super._characteristics.concat([
+      {
+        key: 'currentPosition',
+        Characteristic: this.Characteristic.hap.CurrentPosition
+      },
+      {
+        key: 'targetPosition',
+        Characteristic: this.Characteristic.hap.TargetPosition
+      },
+      {
+        key: 'positionState',
+        Characteristic: this.Characteristic.hap.PositionState
+      },
+      {
+        key: 'holdPosition',
+        Characteristic: this.Characteristic.hap.HoldPosition,
+        isOptional: true
+      },
+      {
+        key: 'obstructionDetected',
+        Characteristic: this.Characteristic.hap.ObstructionDetected,
+        isOptional: true
+      }
+    ])
+  }
+}
+
 const epoch = moment('2001-01-01T00:00:00Z').unix()
 
 function hexToBase64 (value) {
@@ -340,11 +1199,16 @@ class History extends ServiceDelegate {
       .on('didSet', this._onSetHistoryRequest.bind(this))
     this._characteristicDelegates.historyEntries._characteristic
       .on('get', this._onGetEntries.bind(this))
-    this._accessoryDelegate.on('heartbeat', this._heartbeat.bind(this))
-    this._accessoryDelegate.on('shutdown', this._save.bind(this))
+    this._heartbeatListener = this._heartbeat.bind(this)
+    this._accessoryDelegate.on('heartbeat', this._heartbeatListener)
+    this.addShutdownHandler(this._save.bind(this), 'save history')
     this._load()
   }
 
+  get _subsystem () {
+    return 'history'
+  }
+
   get _characteristics () {
     return super._characteristics.concat([
       { key: 'historyRequest', Characteristic: this.Characteristic.eve.HistoryRequest },
@@ -354,6 +1218,19 @@ class History extends ServiceDelegate {
     ])
   }
 
+  // Stop recording, and remove the history file.
+  _remove () {
+    super._remove()
+    this._accessoryDelegate.removeListener('heartbeat', this._heartbeatListener)
+    delete this._accessoryDelegate._context.historyFile
+    this.debug('remove history file %s', this._filename)
+    fs.unlink(this._filename, (error) => {
+      if (error != null && error.code !== 'ENOENT') {
+        this.error(error)
+      }
+    })
+  }
+
   _addEntry (now = moment().unix()) {
     if (this.loading) {
       setTimeout(() => {
@@ -472,12 +1349,9 @@ class History extends ServiceDelegate {
     callback(null, hexToBase64(dataStream))
   }
 
-  _save () {
-    if (this._loading) {
-      setTimeout(() => {
-        this._save()
-      }, 100)
-    }
+  async _save () {
+    // Don't overwrite the history file before it has been loaded.
+    await this._loaded
     const data = {
       firstEntry: this._firstEntry,
       lastEntry: this._lastEntry,
@@ -486,38 +1360,41 @@ class History extends ServiceDelegate {
       initialTime: this._initialTime,
       history: this._history
     }
-    fs.writeFile(this._filename, JSON.stringify(data), 'utf8', (error) => {
-      if (error) {
-        this.error('%s: cannot write', this._filename)
-      }
+    try {
+      await writeFile(this._filename, JSON.stringify(data), 'utf8')
       this.debug('%s: %d entries', this._filename, this._usedMemory)
-    })
+    } catch (error) {
+      this.error('%s: cannot write', this._filename)
+    }
   }
 
   _load () {
     this._loading = true
-    fs.readFile(this._filename, 'utf8', (error, data) => {
-      this._loading = false
-      if (error) {
-        this.debug('%s: not found', this._filename)
-        return
-      }
-      if (data == null) {
-        this.debug('%s: 0 entries', this._filename)
-        return
-      }
-      try {
-        let jsonFile = JSON.parse(data)
-        this._firstEntry = jsonFile.firstEntry
-        this._lastEntry = jsonFile.lastEntry
-        this._usedMemory = jsonFile.usedMemory
-        this._refTime = jsonFile.refTime
-        this._initialTime = jsonFile.initialTime
-        this._history = jsonFile.history
-        this.debug('%s: %d entries', this._filename, this._usedMemory)
-      } catch (error) {
-        this.error('%s: cannot read', this._filename, error)
-      }
+    this._loaded = new Promise((resolve) => {
+      fs.readFile(this._filename, 'utf8', (error, data) => {
+        this._loading = false
+        if (error) {
+          this.debug('%s: not found', this._filename)
+          return resolve()
+        }
+        if (data == null) {
+          this.debug('%s: 0 entries', this._filename)
+          return resolve()
+        }
+        try {
+          let jsonFile = JSON.parse(data)
+          this._firstEntry = jsonFile.firstEntry
+          this._lastEntry = jsonFile.lastEntry
+          this._usedMemory = jsonFile.usedMemory
+          this._refTime = jsonFile.refTime
+          this._initialTime = jsonFile.initialTime
+          this._history = jsonFile.history
+          this.debug('%s: %d entries', this._filename, this._usedMemory)
+        } catch (error) {
+          this.error('%s: cannot read', this._filename, error)
+        }
+        resolve()
+      })
     })
   }
 
@@ -57,6 +57,151 @@ function idOptions (id, options) {
   return Object.assign({}, options, { _key: _key })
 }
 
+// Create options for parsing a member, element, or property value,
+// inheriting userInput from the options for the array or object.
+function memberOptions (definition, _key, options) {
+  const result = Object.assign({}, definition, { _key: _key })
+  if (result.userInput == null && options.userInput != null) {
+    result.userInput = options.userInput
+  }
+  return result
+}
+
+// Convert a list of definitions to JSON Schema.
+function alternativesSchema (definitions, _key) {
+  if (definitions.length === 1) {
+    return jsonSchema(definitions[0], _key)
+  }
+  return { anyOf: definitions.map((definition) => jsonSchema(definition, _key)) }
+}
+
+// Convert allowed number values and ranges to JSON Schema.
+function numberValuesSchema (schema, type, allowedValues) {
+  const values = []
+  const ranges = []
+  for (const allowed of allowedValues) {
+    if (typeof allowed === 'number') {
+      values.push(allowed)
+    } else {
+      ranges.push({ type: type, minimum: allowed[0], maximum: allowed[1] })
+    }
+  }
+  if (ranges.length === 0) {
+    schema.enum = values
+  } else {
+    schema.anyOf = values.length === 0 ? ranges : [{ enum: values }].concat(ranges)
+  }
+}
+
+// Convert allowed string values and patterns to JSON Schema.
+function stringValuesSchema (schema, allowedValues) {
+  const values = []
+  const patterns = []
+  for (const allowed of allowedValues) {
+    if (typeof allowed === 'string') {
+      values.push(allowed)
+    } else {
+      patterns.push({ pattern: allowed.source })
+    }
+  }
+  if (patterns.length === 0) {
+    schema.enum = values
+  } else if (values.length === 0 && patterns.length === 1) {
+    schema.pattern = patterns[0].pattern
+  } else {
+    schema.anyOf = values.length === 0 ? patterns : [{ enum: values }].concat(patterns)
+  }
+}
+
+// Convert a (validated) definition to JSON Schema.
+function jsonSchema (definition, _key) {
+  const schema = {}
+  switch (definition.type) {
+    case 'any':
+      break
+    case 'boolean':
+      schema.type = 'boolean'
+      break
+    case 'integer':
+    case 'number':
+      schema.type = definition.type
+      if (definition.minimumValue != null) {
+        schema.minimum = definition.minimumValue
+      }
+      if (definition.maximumValue != null) {
+        schema.maximum = definition.maximumValue
+      }
+      if (definition.allowedValues != null) {
+        numberValuesSchema(schema, definition.type, definition.allowedValues)
+      }
+      break
+    case 'string':
+      schema.type = 'string'
+      if (definition.nonEmpty) {
+        schema.minLength = 1
+      }
+      if (definition.allowedValues != null) {
+        stringValuesSchema(schema, definition.allowedValues)
+      }
+      break
+    case 'array':
+      schema.type = 'array'
+      if (definition.nonEmpty) {
+        schema.minItems = 1
+      }
+      if (definition.length != null) {
+        schema.minItems = definition.length
+        schema.maxItems = definition.length
+      }
+      if (definition.elements != null) {
+        schema.items = definition.elements.map((element, id) => {
+          return alternativesSchema(element, _key + '[' + id + ']')
+        })
+        if (definition.members != null) {
+          schema.additionalItems = alternativesSchema(
+            definition.members, _key + '[]'
+          )
+        }
+      } else if (definition.members != null) {
+        schema.items = alternativesSchema(definition.members, _key + '[]')
+      }
+      break
+    case 'object':
+      schema.type = 'object'
+      if (definition.nonEmpty) {
+        schema.minProperties = 1
+      }
+      if (definition.properties != null) {
+        schema.properties = {}
+        const required = []
+        for (const key in definition.properties) {
+          const property = definition.properties[key]
+          const propertyKey = _key === '' ? key : _key + '.' + key
+          schema.properties[key] = jsonSchema(property, propertyKey)
+          // A missing key with a default value is accepted by parse().
+          if (property.mandatory && property.defaultValue == null) {
+            required.push(key)
+          }
+        }
+        if (required.length > 0) {
+          schema.required = required
+        }
+      }
+      schema.additionalProperties = definition.members == null
+        ? false
+        : alternativesSchema(definition.members, _key + '[]')
+      break
+    default:
+      throw new TypeError(
+        `${_key === '' ? '' : _key + ': '}${definition.type}: not supported by JSON Schema`
+      )
+  }
+  if (definition.defaultValue != null) {
+    schema.default = definition.defaultValue
+  }
+  return schema
+}
+
 /** Parser and validator for value types.
   * See the {@tutorial TypeParser} tutorial.
   *
@@ -141,7 +286,9 @@ class TypeParser extends events.EventEmitter {
     const error = options.userInput === true
       ? new TypeParser.UserInputError(message)
       : new TypeError(message)
-    this.emit('error', error)
+    if (this._alternatives === 0) {
+      this.emit('error', error)
+    }
     throw error
   }
 
@@ -153,7 +300,9 @@ class TypeParser extends events.EventEmitter {
     const error = options.userInput === true
       ? new TypeParser.UserInputError(message)
       : new RangeError(message)
-    this.emit('error', error)
+    if (this._alternatives === 0) {
+      this.emit('error', error)
+    }
     throw error
   }
 
@@ -389,6 +538,9 @@ class TypeParser extends events.EventEmitter {
     * - Returned for `undefined` or `null`, instead of throwing a `TypeError`.
     * @param {boolean} [options.nonEmpty] - Non-empty string:
     * - Throws a `RangeError` for an empty string.
+    * @param {Array<string|RegExp>} [options.allowedValues] - Allowed values:
+    * - Throws a `RangeError` for a value that doesn't equal any `string`,
+    * nor match any `RegExp`.
     * @param {enum} [options.case] - Case (`lower` or `upper`):<br>
     * - Casts string to lower or upper case.
     * @param {boolean} [options.userInput=false] - Value was input by user:
@@ -464,6 +616,7 @@ class TypeParser extends events.EventEmitter {
   constructor (definition = {}) {
     super()
     this._prefix = ''
+    this._alternatives = 0
     this._id = ++instanceId
     this._definition = toOptions('definition', definition)
   }
@@ -488,6 +641,9 @@ class TypeParser extends events.EventEmitter {
     * @param {object} [options]
     * @param {boolean} [options.userInput=false] - Value was input by user:
     * - Throw `UserInputError` instead of `TypeError`, or `RangeError`.
+    * @param {string} [options.key] - Key of the value:
+    * - Prefix error messages with the key, e.g. `platforms[0]`, instead of
+    * with the key of the offending property only.
     * @returns {object} Object with converted values and added keys for default
     * values.
     * @throws `TypeError`
@@ -508,13 +664,42 @@ class TypeParser extends events.EventEmitter {
   parse (value, options = {}) {
     this._call('parse', value, options)
     this._prefix = ''
+    this._alternatives = 0
     let typeOptions = Object.assign({}, this._definition, options)
+    const key = typeOptions.key
+    delete typeOptions.key
     typeOptions = toOptions('parse', typeOptions)
+    if (key != null) {
+      typeOptions._key = key
+    }
     value = this._parseType(value, typeOptions)
     this._return(value)
     return value
   }
 
+  /** Return the [JSON Schema](https://json-schema.org) for the value type.
+    *
+    * The definition is converted as follows:
+    * - `minimumValue` and `maximumValue` to `minimum` and `maximum`;
+    * - `allowedValues` to `enum`, `pattern`, or `anyOf`;
+    * - `defaultValue` to `default`;
+    * - `nonEmpty` and `length` to `minLength`, `minItems`, `maxItems`, or
+    * `minProperties`;
+    * - `mandatory` to `required` of the enclosing object, unless the
+    * property has a default value;
+    * - `properties` to `properties`, `members` to `items` or
+    * `additionalProperties`, and `elements` to `items`.
+    *
+    * See {@link Platform.configSchema} to create a `config.schema.json` for
+    * Homebridge UI.
+    * @returns {object} The JSON Schema.
+    * @throws `TypeError` - When the definition contains a `function`,
+    * `instance`, or `class` type, which cannot be expressed in JSON.
+    */
+  toJsonSchema () {
+    return jsonSchema(this._definition, '')
+  }
+
   // Call appropriate parser for standard type or definition.
   _parseType (value, options) {
     const parserName = '_parse' +
@@ -685,6 +870,11 @@ class TypeParser extends events.EventEmitter {
     if (options.nonEmpty && value === '') {
       this._throwRangeError('invalid empty string', options)
     }
+    if (options.allowedValues != null && ![].concat(options.allowedValues).some((allowed) => {
+      return allowed instanceof RegExp ? allowed.test(value) : allowed === value
+    })) {
+      this._throwRangeError('invalid string value: not in allowed values', options)
+    }
     if (options.separator == null) {
       return value
     }
@@ -723,9 +913,12 @@ class TypeParser extends events.EventEmitter {
       const keyOptions = Object.assign({}, options, { _key: _key })
       if (options.elements != null && id < options.elements.length) {
         let foundElement = false
+        // Only report errors once all alternatives have failed.
+        const alternatives = options.elements[id].length > 1 ? 1 : 0
+        this._alternatives += alternatives
         for (const element of options.elements[id]) {
           try {
-            const parseOptions = Object.assign({}, element, { _key: _key })
+            const parseOptions = memberOptions(element, _key, options)
             result.push(this._parseType(value[id], parseOptions))
             foundElement = true
             break
@@ -736,6 +929,7 @@ class TypeParser extends events.EventEmitter {
             this._return(error.toString())
           }
         }
+        this._alternatives -= alternatives
         if (!foundElement) {
           this._throwTypeError('invalid type', keyOptions)
         }
@@ -743,9 +937,11 @@ class TypeParser extends events.EventEmitter {
         result.push(value[id])
       } else {
         let foundMember = false
+        const alternatives = options.members.length > 1 ? 1 : 0
+        this._alternatives += alternatives
         for (const member of options.members) {
           try {
-            const parseOptions = Object.assign({}, member, { _key: _key })
+            const parseOptions = memberOptions(member, _key, options)
             result.push(this._parseType(value[id], parseOptions))
             foundMember = true
             break
@@ -756,6 +952,7 @@ class TypeParser extends events.EventEmitter {
             this._return(error.toString())
           }
         }
+        this._alternatives -= alternatives
         if (!foundMember) {
           this._throwTypeError('invalid type', keyOptions)
         }
@@ -773,35 +970,47 @@ class TypeParser extends events.EventEmitter {
     if (typeof value !== 'object' || value.constructor.name !== 'Object') {
       this._throwTypeError('not an object', options)
     }
+    // Validate the remaining key/value pairs after an error, so an error
+    // event is emitted for each invalid key/value pair.
+    let firstError
     for (const key in value) {
       const _key = options._key == null
         ? key
         : options._key + '.' + key
       const keyOptions = Object.assign({}, options, { _key: _key })
-      if (options.properties == null || options.properties[key] == null) {
-        if (options.members == null) {
-          this._throwTypeError('invalid key', keyOptions)
-        }
-        let foundMember = false
-        for (const member of options.members) {
-          try {
-            const parseOptions = Object.assign({}, member, { _key: _key })
-            result[key] = this._parseType(value[key], parseOptions)
-            foundMember = true
-            break
-          } catch (error) {
-            if (options.members.length === 1) {
-              throw (error)
+      try {
+        if (options.properties == null || options.properties[key] == null) {
+          if (options.members == null) {
+            this._throwTypeError('invalid key', keyOptions)
+          }
+          let foundMember = false
+          const alternatives = options.members.length > 1 ? 1 : 0
+          this._alternatives += alternatives
+          for (const member of options.members) {
+            try {
+              const parseOptions = memberOptions(member, _key, options)
+              result[key] = this._parseType(value[key], parseOptions)
+              foundMember = true
+              break
+            } catch (error) {
+              if (options.members.length === 1) {
+                throw (error)
+              }
+              this._return(error.toString())
             }
-            this._return(error.toString())
           }
+          this._alternatives -= alternatives
+          if (!foundMember) {
+            this._throwTypeError('invalid type', keyOptions)
+          }
+        } else {
+          const parseOptions = memberOptions(options.properties[key], _key, options)
+          result[key] = this._parseType(value[key], parseOptions)
         }
-        if (!foundMember) {
-          this._throwTypeError('invalid type', keyOptions)
+      } catch (error) {
+        if (firstError == null) {
+          firstError = error
         }
-      } else {
-        const parseOptions = Object.assign({}, options.properties[key], { _key: _key })
-        result[key] = this._parseType(value[key], parseOptions)
       }
     }
     for (const key in options.properties) {
@@ -809,15 +1018,24 @@ class TypeParser extends events.EventEmitter {
         const _key = options._key == null
           ? key
           : options._key + '.' + key
-        if (result[key] === undefined) {
+        if (result[key] === undefined && value[key] === undefined) {
           if (options.properties[key].defaultValue === undefined) {
             const keyOptions = Object.assign({}, options, { _key: _key })
-            this._throwTypeError('missing key', keyOptions)
+            try {
+              this._throwTypeError('missing key', keyOptions)
+            } catch (error) {
+              if (firstError == null) {
+                firstError = error
+              }
+            }
           }
           result[key] = options.properties[key].defaultValue
         }
       }
     }
+    if (firstError != null) {
+      throw firstError
+    }
     return result
   }
 
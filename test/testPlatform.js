@@ -0,0 +1,2016 @@
+// homebridge-lib/test/testPlatform.js
+//
+// Library for Homebridge plugins.
+// Copyright © 2018-2019 Erik Baauw. All rights reserved.
+
+/* global describe, it, beforeEach, afterEach */
+
+const homebridgeLib = require('../index')
+const assert = require('assert')
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+
+const MockHomebridge = homebridgeLib.MockHomebridge
+
+const packageJson = { name: 'homebridge-test', version: '1.0.0' }
+
+// Keep the temporary storage path of homebridge on shutdown, to check the
+// files written on shutdown.  Return the path, to remove it afterwards.
+function keepStoragePath (homebridge) {
+  const storagePath = homebridge.user.storagePath()
+  homebridge._tmpStoragePath = null
+  return storagePath
+}
+
+// Remove a directory with its contents.
+function removeDirectory (dir) {
+  for (const name of fs.readdirSync(dir)) {
+    const filename = path.join(dir, name)
+    if (fs.lstatSync(filename).isDirectory()) {
+      removeDirectory(filename)
+    } else {
+      fs.unlinkSync(filename)
+    }
+  }
+  fs.rmdirSync(dir)
+}
+
+// Test plugin, exposing a single switch.
+class TestSwitch extends homebridgeLib.ServiceDelegate {
+  constructor (accessoryDelegate, params = {}) {
+    params.Service = accessoryDelegate.Service.hap.Switch
+    super(accessoryDelegate, params)
+  }
+
+  get characteristics () {
+    return [
+      { key: 'on', Characteristic: this.Characteristic.hap.On }
+    ]
+  }
+}
+
+class TestSensor extends homebridgeLib.ServiceDelegate {
+  constructor (accessoryDelegate, params = {}) {
+    params.Service = accessoryDelegate.Service.hap.ContactSensor
+    super(accessoryDelegate, params)
+  }
+
+  get characteristics () {
+    return [
+      {
+        key: 'contact',
+        Characteristic: this.Characteristic.hap.ContactSensorState
+      }
+    ]
+  }
+}
+
+// Outlet, delegating HomeKit writes to accessoryDelegate.device.
+class TestOutlet extends homebridgeLib.ServiceDelegate {
+  constructor (accessoryDelegate, params = {}) {
+    params.Service = accessoryDelegate.Service.hap.Outlet
+    super(accessoryDelegate, params)
+  }
+
+  get characteristics () {
+    return [
+      {
+        key: 'on',
+        Characteristic: this.Characteristic.hap.On,
+        setter: async (value) => { return this._accessoryDelegate.device(value) },
+        timeout: 50
+      },
+      {
+        key: 'volume',
+        Characteristic: this.Characteristic.hap.Volume,
+        setter: async (value) => { return this._accessoryDelegate.device(value) },
+        debounce: 20,
+        valuePolicy: 'reject',
+        isOptional: true
+      }
+    ]
+  }
+}
+
+class TestAccessory extends homebridgeLib.AccessoryDelegate {
+  constructor (platform, params) {
+    super(platform, Object.assign({
+      manufacturer: 'homebridge-lib',
+      model: 'Test',
+      firmware: '1.0.0'
+    }, params))
+    this.switch = new TestSwitch(this, { name: params.name, on: false })
+    this.beats = 0
+    this.on('heartbeat', (beat) => { this.beats++ })
+  }
+}
+
+class TestPlatform extends homebridgeLib.Platform {
+  constructor (log, configJson, homebridge) {
+    super(log, configJson, homebridge)
+    this.on('accessoryRestored', (className, context) => {
+      if (this._configJson.restore !== false) {
+        this.createAccessory(context.id)
+      }
+    })
+    this.once('heartbeat', (beat) => {
+      for (const id of this._configJson.switches || []) {
+        this.createAccessory(id)
+      }
+    })
+  }
+
+  createAccessory (id) {
+    if (this._accessoryDelegates[id] == null) {
+      const delegate = new TestAccessory(this, { id: id, name: 'Switch ' + id })
+      delegate.context.id = id
+    }
+  }
+}
+
+// Test accessory, with version 2 of the context layout.
+class MigratedAccessory extends TestAccessory {
+  static get contextVersion () {
+    return 2
+  }
+
+  static get contextMigrations () {
+    return {
+      2: (context) => { return { serial: context.id } }
+    }
+  }
+}
+
+class MigratePlatform extends TestPlatform {
+  createAccessory (id) {
+    if (this._accessoryDelegates[id] == null) {
+      const delegate = new MigratedAccessory(this, { id: id, name: 'Switch ' + id })
+      delegate.context.serial = id
+    }
+  }
+}
+
+class ConfigPlatform extends TestPlatform {
+  static get configDefinition () {
+    return {
+      type: 'object',
+      properties: {
+        switches: { type: 'array', members: [{ type: 'string' }] },
+        timeout: { type: 'integer', mandatory: true, defaultValue: 5 }
+      }
+    }
+  }
+}
+
+// Record fatal errors, instead of sending SIGTERM to the test process.
+class FatalConfigPlatform extends ConfigPlatform {
+  constructor (log, configJson, homebridge) {
+    super(log, configJson, homebridge)
+    this.restored = []
+    this.on('accessoryRestored', (className, context) => {
+      this.restored.push(context.id)
+    })
+  }
+
+  fatal (format, ...args) {
+    this._message('fatal', this, format, ...args)
+  }
+}
+
+class KeepOrphansPlatform extends TestPlatform {
+  static get removeOrphans () {
+    return false
+  }
+}
+
+class QuickShutdownPlatform extends TestPlatform {
+  static get shutdownTimeout () {
+    return 20
+  }
+}
+
+function init (homebridge) {
+  homebridgeLib.Platform.loadPlatform(
+    homebridge, packageJson, 'Test', TestPlatform
+  )
+}
+
+function keepOrphansInit (homebridge) {
+  homebridgeLib.Platform.loadPlatform(
+    homebridge, packageJson, 'Test', KeepOrphansPlatform
+  )
+}
+
+function quickShutdownInit (homebridge) {
+  homebridgeLib.Platform.loadPlatform(
+    homebridge, packageJson, 'Test', QuickShutdownPlatform
+  )
+}
+
+function migrateInit (homebridge) {
+  homebridgeLib.Platform.loadPlatform(
+    homebridge, packageJson, 'Test', MigratePlatform
+  )
+}
+
+function configInit (homebridge) {
+  homebridgeLib.Platform.loadPlatform(
+    homebridge, packageJson, 'Test', ConfigPlatform
+  )
+}
+
+function fatalConfigInit (homebridge) {
+  homebridgeLib.Platform.loadPlatform(
+    homebridge, packageJson, 'Test', FatalConfigPlatform
+  )
+}
+
+// Create a mock Homebridge, load the plugin, create the platform with
+// configJson, launch it, and run the first heartbeat.
+function startHomebridge (plugin, configJson, options) {
+  const homebridge = new MockHomebridge(options)
+  homebridge.load(plugin)
+  homebridge.createPlatform(configJson)
+  homebridge.launch()
+  homebridge.heartbeat()
+  return homebridge
+}
+
+describe('MockHomebridge', function () {
+  let homebridge
+
+  beforeEach(function () {
+    homebridge = new MockHomebridge()
+    homebridge.load(init)
+  })
+
+  afterEach(function () {
+    return homebridge.shutdown()
+  })
+
+  describe('#createPlatform()', function () {
+    it('should create the platform', function () {
+      const platform = homebridge.createPlatform({ platform: 'Test' })
+      assert(platform instanceof TestPlatform)
+      assert.strictEqual(homebridge.platform, platform)
+      assert.strictEqual(homebridge.accessories.length, 0)
+    })
+  })
+  describe('#heartbeat()', function () {
+    it('should register the accessories', function () {
+      homebridge.createPlatform({ platform: 'Test', switches: ['1', '2'] })
+      homebridge.launch()
+      assert.strictEqual(homebridge.accessories.length, 0)
+      homebridge.heartbeat()
+      assert.strictEqual(homebridge.accessories.length, 2)
+      assert.strictEqual(homebridge.accessory('1').displayName, 'Switch 1')
+    })
+    it('should emit heartbeat to the accessories', function () {
+      homebridge.createPlatform({ platform: 'Test', switches: ['1'] })
+      homebridge.launch()
+      homebridge.heartbeat(10)
+      const delegate = homebridge.platform._accessoryDelegates['1']
+      assert.strictEqual(delegate.beats, 10)
+    })
+  })
+  describe('#get()', function () {
+    it('should return the characteristic value', async function () {
+      homebridge.createPlatform({ platform: 'Test', switches: ['1'] })
+      homebridge.launch()
+      homebridge.heartbeat()
+      const Service = homebridge.hap.Service
+      const Characteristic = homebridge.hap.Characteristic
+      const delegate = homebridge.platform._accessoryDelegates['1']
+      delegate.switch.values.on = true
+      const value = await homebridge.get('1', Service.Switch, Characteristic.On)
+      assert.strictEqual(value, true)
+    })
+  })
+  describe('#set()', function () {
+    it('should emit didSet', async function () {
+      homebridge.createPlatform({ platform: 'Test', switches: ['1'] })
+      homebridge.launch()
+      homebridge.heartbeat()
+      const Service = homebridge.hap.Service
+      const Characteristic = homebridge.hap.Characteristic
+      const delegate = homebridge.platform._accessoryDelegates['1']
+      let didSet
+      delegate.switch.characteristicDelegate('on').on('didSet', (value, byHomeKit) => {
+        didSet = { value: value, byHomeKit: byHomeKit }
+      })
+      await homebridge.set('1', Service.Switch, Characteristic.On, true)
+      assert.deepStrictEqual(didSet, { value: true, byHomeKit: true })
+      assert.strictEqual(delegate.switch.values.on, true)
+    })
+  })
+  describe('#cachedAccessories()', function () {
+    it('should restore the accessories', function () {
+      homebridge.createPlatform({ platform: 'Test', switches: ['1'] })
+      homebridge.launch()
+      homebridge.heartbeat()
+      homebridge.platform._accessoryDelegates['1'].switch.values.on = true
+      homebridge.shutdown()
+      const cachedAccessories = homebridge.cachedAccessories()
+      homebridge = new MockHomebridge({ cachedAccessories: cachedAccessories })
+      homebridge.load(init)
+      homebridge.createPlatform({ platform: 'Test' })
+      const delegate = homebridge.platform._accessoryDelegates['1']
+      assert(delegate instanceof TestAccessory)
+      assert.strictEqual(delegate.switch.values.on, true)
+    })
+    it('should remove the accessories when not in config.json', function () {
+      homebridge.createPlatform({ platform: 'Test', switches: ['1'] })
+      homebridge.launch()
+      homebridge.heartbeat()
+      homebridge.shutdown()
+      const cachedAccessories = homebridge.cachedAccessories()
+      homebridge = new MockHomebridge({ cachedAccessories: cachedAccessories })
+      homebridge.load(init)
+      homebridge.createPlatform(null)
+      assert.strictEqual(homebridge.accessories.length, 1)
+      homebridge.launch()
+      assert.strictEqual(homebridge.accessories.length, 0)
+    })
+  })
+  describe('#shutdown()', function () {
+    it('should remove the temporary storage path', async function () {
+      homebridge.createPlatform({ platform: 'Test' })
+      const storagePath = homebridge.user.storagePath()
+      assert(fs.existsSync(storagePath))
+      await homebridge.shutdown()
+      assert(!fs.existsSync(storagePath))
+    })
+    it('should remove the process listeners', async function () {
+      const listeners = process.listenerCount('unhandledRejection')
+      homebridge.createPlatform({ platform: 'Test' })
+      await homebridge.shutdown()
+      assert.strictEqual(process.listenerCount('unhandledRejection'), listeners)
+      assert.strictEqual(
+        process.rawListeners('exit').includes(homebridge.platform._exitListener),
+        false
+      )
+    })
+  })
+})
+
+describe('AccessoryDelegate', function () {
+  let homebridge
+  let delegate
+
+  // Issue n heartbeats, letting pending polls complete after each beat.
+  async function heartbeat (n = 1) {
+    for (let beat = 0; beat < n; beat++) {
+      homebridge.heartbeat()
+      await new Promise((resolve) => { setImmediate(resolve) })
+    }
+  }
+
+  beforeEach(function () {
+    homebridge = startHomebridge(init, { platform: 'Test', switches: ['1'] })
+    delegate = homebridge.platform._accessoryDelegates['1']
+  })
+
+  afterEach(function () {
+    return homebridge.shutdown()
+  })
+
+  describe('#maxServices', function () {
+    it('should not expose services beyond the limit', function () {
+      const switches = []
+      for (let i = 1; i <= 97; i++) {
+        switches.push(new TestSwitch(delegate, { name: 'Switch ' + i, subtype: '' + i }))
+      }
+      const accessory = homebridge.accessory('1')
+      assert.strictEqual(accessory.services.length, 99)
+      assert(switches.every((s) => accessory.services.includes(s._service)))
+      const extra = new TestSwitch(delegate, { name: 'Extra', subtype: 'extra' })
+      assert.strictEqual(accessory.services.length, 99)
+      assert(!accessory.services.includes(extra._service))
+      extra.values.on = true
+      assert(homebridge.messages.some((message) => {
+        return message.level === 'error' && message.message ===
+          'Switch 1: error: Extra: not exposed to HomeKit - too many services (max 99)'
+      }))
+      assert(!Object.values(delegate._serviceDelegates).includes(extra))
+      const id = homebridge.hap.Service.Switch.UUID + '.extra'
+      assert.strictEqual(accessory.context[id], undefined)
+      assert.strictEqual(delegate._removeOrphans(), 0)
+      assert.strictEqual(accessory.services.length, 99)
+    })
+  })
+  describe('#maxCharacteristics', function () {
+    it('should not expose characteristics beyond the limit', function () {
+      const Characteristic = homebridge.hap.Characteristic
+      const service = delegate.switch._service
+      for (let i = service.characteristics.length; i < 99; i++) {
+        service.addCharacteristic(new Characteristic('Dummy ' + i, 'dummy-' + i))
+      }
+      const brightness = delegate.switch._addCharacteristicDelegate({
+        key: 'brightness', Characteristic: Characteristic.Brightness
+      })
+      assert.strictEqual(service.characteristics.length, 99)
+      assert(!service.characteristics.includes(brightness._characteristic))
+      assert(homebridge.messages.some((message) => {
+        return message.level === 'error' && message.message ===
+          'Switch 1: error: Switch 1: Brightness: not exposed to HomeKit - too many characteristics (max 99)'
+      }))
+    })
+  })
+  describe('#addServiceDelegate()', function () {
+    it('should add a service to a live accessory', function () {
+      let updated = 0
+      homebridge.on('updated', () => { updated++ })
+      const sensor = delegate.addServiceDelegate(TestSensor, {
+        name: 'Sensor', contact: 1
+      })
+      const Service = homebridge.hap.Service
+      const accessory = homebridge.accessory('1')
+      assert.strictEqual(accessory.getService(Service.ContactSensor), sensor._service)
+      assert.strictEqual(accessory.context[Service.ContactSensor.UUID].contact, 1)
+      assert.strictEqual(updated, 1)
+      assert.throws(function () {
+        delegate.addServiceDelegate(TestAccessory, { name: 'Sensor' })
+      }, TypeError)
+    })
+  })
+  describe('#removeServiceDelegate()', function () {
+    it('should remove a service from a live accessory', function () {
+      const sensor = delegate.addServiceDelegate(TestSensor, {
+        name: 'Sensor', contact: 1
+      })
+      const characteristic = sensor._characteristicDelegates.contact._characteristic
+      sensor.addShutdownHandler(async () => {}, 'sensor')
+      let updated = 0
+      homebridge.on('updated', () => { updated++ })
+      delegate.removeServiceDelegate(sensor)
+      const Service = homebridge.hap.Service
+      const accessory = homebridge.accessory('1')
+      assert.strictEqual(accessory.getService(Service.ContactSensor), undefined)
+      assert.strictEqual(accessory.context[Service.ContactSensor.UUID], undefined)
+      assert.strictEqual(characteristic.listenerCount('get'), 0)
+      assert(!homebridge.platform._shutdownHandlers.some((entry) => {
+        return entry.delegate === sensor
+      }))
+      assert.strictEqual(updated, 1)
+      assert.throws(function () {
+        delegate.removeServiceDelegate(sensor)
+      }, new RangeError('serviceDelegate: Sensor: not a service of this accessory'))
+    })
+    it('should remove the history', function () {
+      const history = delegate.addServiceDelegate(
+        homebridgeLib.ServiceDelegate.History, { id: '1' }
+      )
+      assert.strictEqual(delegate._context.historyFile, history._filename)
+      const listeners = delegate.listenerCount('heartbeat')
+      delegate.removeServiceDelegate(history)
+      assert.strictEqual(delegate.listenerCount('heartbeat'), listeners - 1)
+      assert.strictEqual(delegate._context.historyFile, undefined)
+      assert.strictEqual(
+        homebridge.accessory('1').getService(delegate.Service.eve.History),
+        undefined
+      )
+    })
+  })
+  describe('#addPoll()', function () {
+    it('should poll every interval', async function () {
+      let polls = 0
+      delegate.addPoll('state', async () => { polls++ }, {
+        interval: 5, jitter: 0
+      })
+      await heartbeat(11)
+      assert.strictEqual(polls, 3)
+    })
+    it('should make the first poll within the jitter', async function () {
+      let polls = 0
+      delegate.addPoll('state', async () => { polls++ }, {
+        interval: 60, jitter: 10
+      })
+      await heartbeat(11)
+      assert.strictEqual(polls, 1)
+    })
+    it('should skip the poll while the previous poll is running', function () {
+      let polls = 0
+      let skipped = 0
+      delegate.addPoll('state', () => {
+        polls++
+        return new Promise(() => {})
+      }, { interval: 1, jitter: 0 })
+      delegate.on('pollSkipped', (key) => { skipped++ })
+      homebridge.heartbeat(3)
+      assert.strictEqual(polls, 1)
+      assert.strictEqual(skipped, 2)
+    })
+    it('should back off after failures', async function () {
+      let fail = true
+      const delays = []
+      let recovered
+      delegate.addPoll('state', async () => {
+        if (fail) {
+          throw new Error('no response')
+        }
+      }, { interval: 1, jitter: 0, maxInterval: 4 })
+      delegate.on('pollFailed', (key, error, failures, delay) => {
+        delays.push(delay)
+      })
+      delegate.on('pollRecovered', (key, failures) => { recovered = failures })
+      await heartbeat(10)
+      assert.deepStrictEqual(delays, [2, 4, 4])
+      fail = false
+      await heartbeat(4)
+      assert.strictEqual(recovered, 3)
+    })
+    it('should keep polling after a rejection without error', async function () {
+      let polls = 0
+      const errors = []
+      delegate.addPoll('state', async () => {
+        polls++
+        throw polls === 1 ? undefined : null
+      }, { interval: 1, jitter: 0, maxInterval: 1 })
+      delegate.on('pollFailed', (key, error) => { errors.push(error) })
+      await heartbeat(4)
+      assert.strictEqual(polls, 4)
+      assert(errors.every((error) => error instanceof Error))
+    })
+    it('should throw on a duplicate key', function () {
+      delegate.addPoll('state', async () => {})
+      assert.throws(function () {
+        delegate.addPoll('state', async () => {})
+      }, new SyntaxError('key: state: duplicate key'))
+    })
+  })
+  describe('#reportError()', function () {
+    it('should emit unreachable once and set StatusFault', function () {
+      const sensor = new TestSensor(delegate, { name: 'Sensor', contact: 0 })
+      let unreachable = 0
+      delegate.on('unreachable', () => { unreachable++ })
+      delegate.reportError(new Error('timeout'))
+      delegate.reportError(new Error('timeout'))
+      assert.strictEqual(delegate.reachable, false)
+      assert.strictEqual(unreachable, 1)
+      const StatusFault = homebridge.hap.Characteristic.StatusFault
+      assert.strictEqual(sensor._service.getCharacteristic(StatusFault).value, 1)
+      assert.strictEqual(sensor.values.statusFault, 1)
+      assert(!delegate.switch._service.testCharacteristic(StatusFault))
+      const messages = homebridge.messages.filter((message) => {
+        return message.level === 'warning' && /unreachable/.test(message.message)
+      })
+      assert.strictEqual(messages.length, 1)
+    })
+    it('should keep StatusFault across restarts', function () {
+      let sensor = new TestSensor(delegate, { name: 'Sensor', contact: 0 })
+      delegate.reportError(new Error('timeout'))
+      homebridge.shutdown()
+      homebridge = new MockHomebridge({
+        cachedAccessories: homebridge.cachedAccessories()
+      })
+      homebridge.load(init)
+      homebridge.createPlatform({ platform: 'Test' })
+      delegate = homebridge.platform._accessoryDelegates['1']
+      sensor = new TestSensor(delegate, { name: 'Sensor' })
+      homebridge.launch()
+      const StatusFault = homebridge.hap.Characteristic.StatusFault
+      assert(sensor._service.testCharacteristic(StatusFault))
+      assert.strictEqual(sensor.values.statusFault, 1)
+    })
+    it('should honour params.errorThreshold', function () {
+      const accessory = new TestAccessory(homebridge.platform, {
+        id: '2', name: 'Switch 2', errorThreshold: 3
+      })
+      accessory.reportError(new Error('timeout'))
+      accessory.reportError(new Error('timeout'))
+      assert.strictEqual(accessory.reachable, true)
+      accessory.reportError(new Error('timeout'))
+      assert.strictEqual(accessory.reachable, false)
+    })
+    it('should fail HomeKit reads with params.noResponse', async function () {
+      const accessory = new TestAccessory(homebridge.platform, {
+        id: '2', name: 'Switch 2', noResponse: true
+      })
+      accessory.context.id = '2'
+      const Service = homebridge.hap.Service
+      const Characteristic = homebridge.hap.Characteristic
+      accessory.reportError(new Error('timeout'))
+      await assert.rejects(
+        homebridge.get('2', Service.Switch, Characteristic.On),
+        new Error('no response')
+      )
+      assert.strictEqual(await homebridge.get(
+        '2', Service.AccessoryInformation, Characteristic.Model
+      ), 'Test')
+      accessory.reportSuccess()
+      assert.strictEqual(
+        await homebridge.get('2', Service.Switch, Characteristic.On), false
+      )
+    })
+  })
+  describe('#reportSuccess()', function () {
+    it('should emit reachable and clear StatusFault', function () {
+      const sensor = new TestSensor(delegate, { name: 'Sensor', contact: 0 })
+      let reachable = 0
+      delegate.on('reachable', () => { reachable++ })
+      delegate.reportSuccess()
+      assert.strictEqual(reachable, 0)
+      delegate.reportError(new Error('timeout'))
+      delegate.reportSuccess()
+      assert.strictEqual(delegate.reachable, true)
+      assert.strictEqual(reachable, 1)
+      const StatusFault = homebridge.hap.Characteristic.StatusFault
+      assert.strictEqual(sensor._service.getCharacteristic(StatusFault).value, 0)
+    })
+    it('should track reachability from polls', async function () {
+      let fail = true
+      delegate.addPoll('state', async () => {
+        if (fail) {
+          throw new Error('no response')
+        }
+      }, { interval: 1, jitter: 0 })
+      await heartbeat()
+      assert.strictEqual(delegate.reachable, false)
+      fail = false
+      await heartbeat(2)
+      assert.strictEqual(delegate.reachable, true)
+    })
+  })
+})
+
+describe('ServiceDelegate', function () {
+  let homebridge
+  let delegate
+  let Characteristic
+
+  beforeEach(function () {
+    homebridge = startHomebridge(init, { platform: 'Test', switches: ['1'] })
+    delegate = homebridge.platform._accessoryDelegates['1']
+    Characteristic = homebridge.hap.Characteristic
+  })
+
+  afterEach(function () {
+    return homebridge.shutdown()
+  })
+
+  describe('#addLinkedService()', function () {
+    it('should set up the primary service and linked services', function () {
+      const battery = new homebridgeLib.ServiceDelegate.Battery(delegate, {
+        name: 'Battery', batteryLevel: 50, linkedTo: delegate.switch
+      })
+      assert.deepStrictEqual(delegate.switch._service.linkedServices, [battery._service])
+      const sensor = new TestSensor(delegate, { name: 'Sensor', primaryService: true })
+      assert.strictEqual(sensor._service.isPrimaryService, true)
+      const light = new homebridgeLib.ServiceDelegate.Lightbulb(delegate, {
+        name: 'Light', primaryService: true
+      })
+      assert.strictEqual(light._service.isPrimaryService, true)
+      assert.strictEqual(sensor._service.isPrimaryService, false)
+      delegate.removeServiceDelegate(battery)
+      assert.deepStrictEqual(delegate.switch._service.linkedServices, [])
+      assert.throws(function () {
+        return new TestSensor(delegate, { name: 'Sensor', linkedTo: delegate })
+      }, new TypeError('params.linkedTo: not a ServiceDelegate'))
+    })
+    it('should restore linked services from cache', function () {
+      let battery = new homebridgeLib.ServiceDelegate.Battery(delegate, {
+        name: 'Battery', batteryLevel: 50, linkedTo: delegate.switch
+      })
+      let sensor = new TestSensor(delegate, { name: 'Sensor' })
+      delegate.switch._service.addLinkedService(sensor._service)
+      assert.deepStrictEqual(
+        delegate.switch._service.linkedServices,
+        [battery._service, sensor._service]
+      )
+      homebridge.shutdown()
+      homebridge = new MockHomebridge({
+        cachedAccessories: homebridge.cachedAccessories()
+      })
+      homebridge.load(init)
+      homebridge.createPlatform({ platform: 'Test' })
+      delegate = homebridge.platform._accessoryDelegates['1']
+      battery = new homebridgeLib.ServiceDelegate.Battery(delegate, {
+        name: 'Battery', linkedTo: delegate.switch
+      })
+      sensor = new TestSensor(delegate, { name: 'Sensor' })
+      assert.deepStrictEqual(
+        delegate.switch._service.linkedServices,
+        [battery._service, sensor._service]
+      )
+      homebridge.launch()
+      assert.deepStrictEqual(delegate.switch._service.linkedServices, [battery._service])
+    })
+  })
+  describe('.History', function () {
+    it('should return the history entries', async function () {
+      const history = new homebridgeLib.ServiceDelegate.History(delegate, {
+        id: '1'
+      })
+      const Service = history.Service.eve
+      const Characteristic = history.Characteristic.eve
+      assert.strictEqual(
+        await homebridge.get('1', Service.History, Characteristic.HistoryEntries),
+        'AA=='
+      )
+      await homebridge.set(
+        '1', Service.History, Characteristic.HistoryRequest,
+        Buffer.from('0000010000000000', 'hex').toString('base64')
+      )
+      assert.strictEqual(history._transfer, true)
+      assert.strictEqual(
+        await homebridge.get('1', Service.History, Characteristic.HistoryEntries),
+        'AA=='
+      )
+      assert.strictEqual(history._transfer, false)
+    })
+    it('should not save the history before it has been loaded', async function () {
+      const storagePath = keepStoragePath(homebridge)
+      const filename = path.join(storagePath, 'accessories', 'history_1.json')
+      fs.writeFileSync(filename, JSON.stringify({
+        firstEntry: 0, lastEntry: 5, usedMemory: 5, refTime: 0, history: []
+      }))
+      const history = new homebridgeLib.ServiceDelegate.History(delegate, {
+        id: '1'
+      })
+      await homebridge.shutdown()
+      assert.strictEqual(history._usedMemory, 5)
+      assert.strictEqual(JSON.parse(fs.readFileSync(filename)).usedMemory, 5)
+      removeDirectory(storagePath)
+    })
+  })
+  describe('.Lightbulb', function () {
+    it('should only create the optional characteristics in params', function () {
+      const light = new homebridgeLib.ServiceDelegate.Lightbulb(delegate, {
+        name: 'Light', brightness: 50
+      })
+      assert.strictEqual(light.values.on, false)
+      assert.strictEqual(light.values.brightness, 50)
+      assert(light._service.testCharacteristic(Characteristic.Brightness))
+      assert(!light._service.testCharacteristic(Characteristic.Hue))
+      assert.strictEqual(light.characteristicDelegate('hue'), undefined)
+    })
+  })
+  describe('.TemperatureSensor', function () {
+    it('should accept temperatures below 0°C', function () {
+      const sensor = new homebridgeLib.ServiceDelegate.TemperatureSensor(
+        delegate, { name: 'Temperature', temperature: -5.5 }
+      )
+      const characteristic = sensor._service.getCharacteristic(
+        Characteristic.CurrentTemperature
+      )
+      assert.strictEqual(characteristic.props.minValue, -40)
+      assert.strictEqual(sensor.values.temperature, -5.5)
+    })
+    it('should set statusFault when unreachable', function () {
+      const sensor = new homebridgeLib.ServiceDelegate.TemperatureSensor(
+        delegate, { name: 'Temperature', temperature: 20, statusFault: 0 }
+      )
+      delegate.reportError(new Error('timeout'))
+      assert.strictEqual(sensor.values.statusFault, 1)
+      delegate.reportSuccess()
+      assert.strictEqual(sensor.values.statusFault, 0)
+    })
+  })
+  describe('.WindowCovering', function () {
+    it('should set the default values', function () {
+      const blinds = new homebridgeLib.ServiceDelegate.WindowCovering(
+        delegate, { name: 'Blinds', currentPosition: 30 }
+      )
+      assert.strictEqual(blinds.values.targetPosition, 30)
+      assert.strictEqual(blinds.values.positionState, 2)
+    })
+  })
+})
+
+describe('CharacteristicDelegate', function () {
+  let homebridge
+  let delegate
+  let outlet
+
+  beforeEach(function () {
+    homebridge = startHomebridge(init, { platform: 'Test', switches: ['1'] })
+    delegate = homebridge.platform._accessoryDelegates['1']
+    outlet = new TestOutlet(delegate, { name: 'Outlet', on: false })
+  })
+
+  afterEach(function () {
+    return homebridge.shutdown()
+  })
+
+  // Write On of the outlet, as HomeKit would.
+  function set (value) {
+    const hap = homebridge.hap
+    return homebridge.set('1', hap.Service.Outlet, hap.Characteristic.On, value)
+  }
+
+  describe('#value', function () {
+    it('should pass the value as-is by default', function () {
+      const light = new homebridgeLib.ServiceDelegate.Lightbulb(delegate, {
+        name: 'Light', brightness: 50
+      })
+      light.values.brightness = 101
+      assert.strictEqual(light.values.brightness, 101)
+    })
+    it('should clamp the value to the range and step', function () {
+      const light = new homebridgeLib.ServiceDelegate.Lightbulb(delegate, {
+        name: 'Light'
+      })
+      const brightness = new homebridgeLib.CharacteristicDelegate(light, {
+        key: 'brightness',
+        Characteristic: homebridge.hap.Characteristic.Brightness,
+        valuePolicy: 'clamp',
+        value: 50
+      })
+      brightness.value = 101
+      assert.strictEqual(brightness.value, 100)
+      brightness.value = '42.6'
+      assert.strictEqual(brightness.value, 43)
+      const hue = new homebridgeLib.CharacteristicDelegate(light, {
+        key: 'hue',
+        Characteristic: homebridge.hap.Characteristic.Hue,
+        valuePolicy: 'clamp',
+        value: 20
+      })
+      hue.value = 21.04
+      assert.strictEqual(hue.value, 21)
+      hue.value = -50
+      assert.strictEqual(hue.value, 0)
+    })
+    it('should throw a TypeError for an invalid value', function () {
+      const light = new homebridgeLib.ServiceDelegate.Lightbulb(delegate, {
+        name: 'Light'
+      })
+      const on = new homebridgeLib.CharacteristicDelegate(light, {
+        key: 'power',
+        Characteristic: homebridge.hap.Characteristic.On,
+        valuePolicy: 'clamp'
+      })
+      assert.throws(function () {
+        on.value = 'maybe'
+      }, new TypeError('On: maybe: not a boolean'))
+    })
+    it('should report a rejected getter value as a device error', async function () {
+      const light = new homebridgeLib.ServiceDelegate.Lightbulb(delegate, {
+        name: 'Light'
+      })
+      const brightness = new homebridgeLib.CharacteristicDelegate(light, {
+        key: 'brightness',
+        Characteristic: homebridge.hap.Characteristic.Brightness,
+        valuePolicy: 'reject',
+        getter: async () => { return 101 }
+      })
+      const hap = homebridge.hap
+      await assert.rejects(
+        homebridge.get('1', hap.Service.Lightbulb, hap.Characteristic.Brightness),
+        (error) => {
+          return error.status === hap.HAPServer.Status.SERVICE_COMMUNICATION_FAILURE
+        }
+      )
+      assert.strictEqual(brightness.value, undefined)
+      assert.strictEqual(delegate._faults, 0)
+      assert(homebridge.messages.some((message) => {
+        return message.level === 'error' && message.message ===
+          'Light: error: get Brightness: 101: invalid number value: above 100'
+      }))
+    })
+    it('should reject values with valuePolicy reject', function () {
+      const outlet = new TestOutlet(delegate, {
+        name: 'Speaker', subtype: 'speaker', volume: 0
+      })
+      assert.throws(function () {
+        outlet.values.volume = 101
+      }, new RangeError('Volume: 101: invalid number value: above 100'))
+      assert.throws(function () {
+        outlet.values.volume = 10.5
+      }, new RangeError('Volume: 10.5: invalid value: not a multiple of 1'))
+      outlet.characteristicDelegate('volume')._characteristic.setProps({
+        validValues: [0, 50, 100]
+      })
+      assert.throws(function () {
+        outlet.values.volume = 20
+      }, new RangeError('Volume: 20: invalid value: not in 0,50,100'))
+      outlet.values.volume = 50
+      assert.strictEqual(outlet.values.volume, 50)
+    })
+  })
+  describe('#logPolicy', function () {
+    // Return the levels of the messages for changes to Current Temperature.
+    function levels () {
+      return homebridge.messages.filter((m) => {
+        return m.message.includes('set Current Temperature')
+      }).map((m) => m.level)
+    }
+
+    it('should log changes at the policy level', function () {
+      const sensor = new homebridgeLib.ServiceDelegate.TemperatureSensor(
+        delegate, { name: 'Temperature', temperature: 20, logPolicy: { level: 'debug' } }
+      )
+      sensor.values.temperature = 21
+      const silent = new homebridgeLib.ServiceDelegate.TemperatureSensor(
+        delegate, {
+          name: 'Silent', subtype: 'silent', logPolicy: { level: 'silent' }
+        }
+      )
+      silent.values.temperature = 22
+      assert.deepStrictEqual(levels(), ['debug', 'debug'])
+    })
+    it('should log small changes at debug level', function () {
+      const sensor = new homebridgeLib.ServiceDelegate.TemperatureSensor(
+        delegate, { name: 'Temperature', temperature: 20, logPolicy: { threshold: 0.5 } }
+      )
+      sensor.values.temperature = 20.2
+      sensor.values.temperature = 21
+      assert.deepStrictEqual(levels(), ['log', 'debug', 'log'])
+    })
+    it('should log at most rate changes per minute', function () {
+      const sensor = new homebridgeLib.ServiceDelegate.TemperatureSensor(
+        delegate, { name: 'Temperature', logPolicy: { rate: 2 } }
+      )
+      for (const value of [20, 21, 22, 23]) {
+        sensor.values.temperature = value
+      }
+      assert.deepStrictEqual(levels(), ['log', 'log', 'debug', 'debug'])
+    })
+    it('should apply the overrides from config.json', function () {
+      homebridge.platform._setLogPolicies({
+        Temperature: { level: 'silent' },
+        'Current Temperature': { level: 'debug' }
+      })
+      const sensor = new homebridgeLib.ServiceDelegate.TemperatureSensor(
+        delegate, { name: 'Temperature', temperature: 20 }
+      )
+      sensor.values.temperature = 21
+      assert.deepStrictEqual(levels(), ['debug', 'debug'])
+    })
+    it('should ignore invalid overrides from config.json', function () {
+      homebridge.platform._setLogPolicies({
+        'Current Temperature': { level: 'loud' }
+      })
+      const sensor = new homebridgeLib.ServiceDelegate.TemperatureSensor(
+        delegate, { name: 'Temperature', temperature: 20 }
+      )
+      sensor.values.temperature = 21
+      assert.deepStrictEqual(levels(), ['log', 'log'])
+      assert(homebridge.messages.some((message) => {
+        return message.level === 'warning' && message.message ===
+          'warning: config.json: platforms[0].logPolicies.Current Temperature.level: invalid string value: not in allowed values - ignored'
+      }))
+    })
+    it('should parse the overrides from config.json', function () {
+      homebridge.platform._setLogPolicies({
+        'Current Temperature': { threshold: '0.5' },
+        On: { rate: 0 },
+        Volume: 5
+      })
+      assert.deepStrictEqual(homebridge.platform._logPolicies, {
+        'Current Temperature': { threshold: 0.5 }
+      })
+      const messages = homebridge.messages.map((m) => m.message)
+      assert(messages.includes(
+        'warning: config.json: platforms[0].logPolicies.On.rate: invalid integer value: below 1 - ignored'
+      ))
+      assert(messages.includes(
+        'warning: config.json: platforms[0].logPolicies.Volume: not an object - ignored'
+      ))
+      homebridge.platform._setLogPolicies('loud')
+      assert.deepStrictEqual(homebridge.platform._logPolicies, {})
+    })
+    it('should throw a RangeError for an invalid level', function () {
+      assert.throws(function () {
+        return new homebridgeLib.ServiceDelegate.TemperatureSensor(
+          delegate, { name: 'Temperature', logPolicy: { level: 'loud' } }
+        )
+      }, new RangeError('params.logPolicy.level: loud: invalid log level'))
+    })
+  })
+  describe('#converter', function () {
+    let light
+    let brightness
+
+    beforeEach(function () {
+      light = new homebridgeLib.ServiceDelegate.Lightbulb(delegate, {
+        name: 'Light'
+      })
+      brightness = new homebridgeLib.CharacteristicDelegate(light, {
+        key: 'brightness',
+        Characteristic: homebridge.hap.Characteristic.Brightness,
+        converter: 'percent254'
+      })
+    })
+
+    it('should convert device values to HomeKit', async function () {
+      brightness.value = 127
+      assert.strictEqual(brightness.value, 127)
+      assert.strictEqual(brightness._characteristic.value, 50)
+      const value = await homebridge.get(
+        '1', homebridge.hap.Service.Lightbulb,
+        homebridge.hap.Characteristic.Brightness
+      )
+      assert.strictEqual(value, 50)
+      assert(homebridge.messages.some((m) => {
+        return m.message.includes('set Brightness to 127 (50 percentage)')
+      }))
+    })
+    it('should convert HomeKit values to device units', async function () {
+      let didSet
+      brightness.on('didSet', (value) => { didSet = value })
+      await homebridge.set(
+        '1', homebridge.hap.Service.Lightbulb,
+        homebridge.hap.Characteristic.Brightness, 100
+      )
+      assert.strictEqual(brightness.value, 254)
+      assert.strictEqual(didSet, 254)
+    })
+    it('should support a custom transform pair', function () {
+      const hue = new homebridgeLib.CharacteristicDelegate(light, {
+        key: 'hue',
+        Characteristic: homebridge.hap.Characteristic.Hue,
+        toHomeKit: (value) => value * 360 / 65535,
+        fromHomeKit: (value) => Math.round(value * 65535 / 360),
+        value: 65535
+      })
+      assert.strictEqual(hue.value, 65535)
+      assert.strictEqual(hue._characteristic.value, 360)
+    })
+    it('should fail the HomeKit write when fromHomeKit throws', async function () {
+      const hue = new homebridgeLib.CharacteristicDelegate(light, {
+        key: 'hue',
+        Characteristic: homebridge.hap.Characteristic.Hue,
+        toHomeKit: (value) => value,
+        fromHomeKit: (value) => { throw new Error('boom') },
+        value: 0
+      })
+      await assert.rejects(homebridge.set(
+        '1', homebridge.hap.Service.Lightbulb,
+        homebridge.hap.Characteristic.Hue, 180
+      ), (error) => {
+        return error.message === 'boom' && error.status ===
+          homebridge.hap.HAPServer.Status.SERVICE_COMMUNICATION_FAILURE
+      })
+      assert.strictEqual(hue.value, 0)
+      assert.strictEqual(delegate._faults, 1)
+    })
+    it('should throw an error for an invalid converter', function () {
+      assert.throws(function () {
+        return new homebridgeLib.CharacteristicDelegate(light, {
+          key: 'hue',
+          Characteristic: homebridge.hap.Characteristic.Hue,
+          converter: 'foo'
+        })
+      }, new RangeError('params.converter: foo: invalid converter'))
+      assert.throws(function () {
+        return new homebridgeLib.CharacteristicDelegate(light, {
+          key: 'hue',
+          Characteristic: homebridge.hap.Characteristic.Hue,
+          toHomeKit: (value) => value
+        })
+      }, new TypeError('params.fromHomeKit: undefined: not a function'))
+    })
+  })
+  describe('#_onSet()', function () {
+    it('should await the setter', async function () {
+      let deviceValue
+      delegate.device = async (value) => { deviceValue = value }
+      let didSet
+      outlet.characteristicDelegate('on').on('didSet', (value, byHomeKit) => {
+        didSet = value
+      })
+      await set(true)
+      assert.strictEqual(deviceValue, true)
+      assert.strictEqual(didSet, true)
+      assert.strictEqual(outlet.values.on, true)
+    })
+    it('should report SERVICE_COMMUNICATION_FAILURE on error', async function () {
+      delegate.device = async (value) => { throw new Error('device busy') }
+      await assert.rejects(set(true), (error) => {
+        return error.message === 'device busy' &&
+          error.status === homebridge.hap.HAPServer.Status.SERVICE_COMMUNICATION_FAILURE
+      })
+      assert.strictEqual(outlet.values.on, false)
+      assert.strictEqual(outlet._service.getCharacteristic(
+        homebridge.hap.Characteristic.On
+      ).value, false)
+    })
+    it('should roll back on error after the timeout', async function () {
+      let rejectDevice
+      delegate.device = (value) => {
+        return new Promise((resolve, reject) => { rejectDevice = reject })
+      }
+      await set(true)
+      assert.strictEqual(outlet.values.on, true)
+      rejectDevice(new Error('device busy'))
+      await new Promise((resolve) => { setImmediate(resolve) })
+      assert.strictEqual(outlet.values.on, false)
+      assert.strictEqual(outlet._service.getCharacteristic(
+        homebridge.hap.Characteristic.On
+      ).value, false)
+    })
+    it('should coalesce writes with debounce', async function () {
+      const outlet = new TestOutlet(delegate, {
+        name: 'Speaker', subtype: 'speaker', volume: 0
+      })
+      const deviceValues = []
+      delegate.device = async (value) => { deviceValues.push(value) }
+      const didSets = []
+      outlet.characteristicDelegate('volume').on('didSet', (value) => {
+        didSets.push(value)
+      })
+      const hap = homebridge.hap
+      const writes = [10, 20, 30].map((value) => {
+        return homebridge.set(
+          '1', hap.Service.Outlet, hap.Characteristic.Volume, value, 'speaker'
+        )
+      })
+      await Promise.all(writes)
+      assert.deepStrictEqual(deviceValues, [30])
+      assert.deepStrictEqual(didSets, [30])
+      assert.strictEqual(outlet.values.volume, 30)
+      assert.strictEqual(outlet._service.getCharacteristic(
+        hap.Characteristic.Volume
+      ).value, 30)
+    })
+    it('should drop a pending write when the service is removed', async function () {
+      const outlet = new TestOutlet(delegate, {
+        name: 'Speaker', subtype: 'speaker', volume: 0
+      })
+      const deviceValues = []
+      delegate.device = async (value) => { deviceValues.push(value) }
+      const hap = homebridge.hap
+      const write = homebridge.set(
+        '1', hap.Service.Outlet, hap.Characteristic.Volume, 10, 'speaker'
+      )
+      delegate.removeServiceDelegate(outlet)
+      await assert.rejects(write, (error) => {
+        return error.status === hap.HAPServer.Status.SERVICE_COMMUNICATION_FAILURE
+      })
+      await new Promise((resolve) => { setTimeout(resolve, 40) })
+      assert.deepStrictEqual(deviceValues, [])
+      assert.strictEqual(outlet.characteristicDelegate('volume')._pending, null)
+    })
+    it('should flush a pending write on shutdown', async function () {
+      const outlet = new TestOutlet(delegate, {
+        name: 'Speaker', subtype: 'speaker', volume: 0
+      })
+      const deviceValues = []
+      delegate.device = async (value) => { deviceValues.push(value) }
+      const hap = homebridge.hap
+      const write = homebridge.set(
+        '1', hap.Service.Outlet, hap.Characteristic.Volume, 10, 'speaker'
+      )
+      await homebridge.shutdown()
+      await write
+      assert.deepStrictEqual(deviceValues, [10])
+      assert.strictEqual(outlet.values.volume, 10)
+    })
+  })
+})
+
+describe('Platform', function () {
+  let homebridge
+
+  afterEach(function () {
+    return homebridge.shutdown()
+  })
+
+  describe('.removeOrphans', function () {
+    // Return cached accessories with an extra service and characteristic.
+    function cachedAccessories () {
+      homebridge = startHomebridge(init, { platform: 'Test', switches: ['1'] })
+      const delegate = homebridge.platform._accessoryDelegates['1']
+      const Characteristic = homebridge.hap.Characteristic
+      delegate.switch._service.addCharacteristic(Characteristic.Brightness)
+      const light = new homebridgeLib.ServiceDelegate.Lightbulb(delegate, { name: 'Light' })
+      assert(homebridge.accessory('1').services.includes(light._service))
+      homebridge.shutdown()
+      return homebridge.cachedAccessories()
+    }
+
+    it('should remove orphaned services and characteristics', function () {
+      homebridge = new MockHomebridge({ cachedAccessories: cachedAccessories() })
+      homebridge.load(init)
+      homebridge.createPlatform({ platform: 'Test' })
+      let updated = 0
+      homebridge.on('updated', () => { updated++ })
+      homebridge.launch()
+      const Service = homebridge.hap.Service
+      const Characteristic = homebridge.hap.Characteristic
+      const accessory = homebridge.accessory('1')
+      assert.strictEqual(accessory.getService(Service.Lightbulb), undefined)
+      assert.strictEqual(accessory.context[Service.Lightbulb.UUID], undefined)
+      const service = accessory.getService(Service.Switch)
+      assert(service.testCharacteristic(Characteristic.On))
+      assert(!service.testCharacteristic(Characteristic.Brightness))
+      assert(accessory.getService(Service.AccessoryInformation)
+        .testCharacteristic(Characteristic.Identify))
+      assert.strictEqual(updated, 1)
+    })
+    it('should keep orphans when overridden', function () {
+      homebridge = new MockHomebridge({ cachedAccessories: cachedAccessories() })
+      homebridge.load(keepOrphansInit)
+      homebridge.createPlatform({ platform: 'Test' })
+      homebridge.launch()
+      const Service = homebridge.hap.Service
+      const accessory = homebridge.accessory('1')
+      assert.notStrictEqual(accessory.getService(Service.Lightbulb), undefined)
+    })
+  })
+  describe('#_main()', function () {
+    it('should log a summary of the exposed accessories', function () {
+      homebridge = startHomebridge(init, { platform: 'Test', switches: ['1'] })
+      homebridge.shutdown()
+      const cachedAccessories = homebridge.cachedAccessories()
+      homebridge = new MockHomebridge({ cachedAccessories: cachedAccessories })
+      homebridge.load(init)
+      homebridge.createPlatform({ platform: 'Test' })
+      homebridge.launch()
+      assert(homebridge.messages.some((message) => {
+        return message.level === 'log' && message.message ===
+          'exposing 1/99 accessories, with 2 services and 8 characteristics'
+      }))
+    })
+  })
+  describe('#event:accessoryStale', function () {
+    function cachedAccessories () {
+      homebridge = startHomebridge(init, { platform: 'Test', switches: ['1'] })
+      homebridge.shutdown()
+      return homebridge.cachedAccessories()
+    }
+
+    it('should remove stale accessories after staleTimeout', function () {
+      homebridge = new MockHomebridge({ cachedAccessories: cachedAccessories() })
+      homebridge.load(init)
+      homebridge.createPlatform({
+        platform: 'Test', restore: false, staleTimeout: 5
+      })
+      homebridge.launch()
+      homebridge.heartbeat(5)
+      assert.strictEqual(homebridge.accessories.length, 1)
+      homebridge.heartbeat()
+      assert.strictEqual(homebridge.accessories.length, 0)
+      assert(homebridge.messages.some((message) => {
+        return message.level === 'log' &&
+          /Switch 1: remove stale TestAccessory 1/.test(message.message)
+      }))
+    })
+    it('should keep the accessory on veto', function () {
+      homebridge = new MockHomebridge({ cachedAccessories: cachedAccessories() })
+      homebridge.load(init)
+      const platform = homebridge.createPlatform({
+        platform: 'Test', restore: false, staleTimeout: 1
+      })
+      let stale
+      platform.on('accessoryStale', (className, context, veto) => {
+        stale = context.id
+        veto()
+      })
+      homebridge.launch()
+      homebridge.heartbeat(2)
+      assert.strictEqual(stale, '1')
+      assert.strictEqual(homebridge.accessories.length, 1)
+    })
+    it('should not remove restored accessories', function () {
+      homebridge = startHomebridge(
+        init, { platform: 'Test', staleTimeout: 1 },
+        { cachedAccessories: cachedAccessories() }
+      )
+      homebridge.heartbeat()
+      assert.strictEqual(homebridge.accessories.length, 1)
+    })
+    it('should not remove stale accessories with staleTimeout 0', function () {
+      homebridge = new MockHomebridge({ cachedAccessories: cachedAccessories() })
+      homebridge.load(init)
+      homebridge.createPlatform({
+        platform: 'Test', restore: false, staleTimeout: 0
+      })
+      homebridge.launch()
+      homebridge.heartbeat(2)
+      assert.strictEqual(homebridge.accessories.length, 1)
+    })
+    it('should parse staleTimeout without configDefinition', function () {
+      homebridge = new MockHomebridge({ cachedAccessories: cachedAccessories() })
+      homebridge.load(init)
+      homebridge.createPlatform({
+        platform: 'Test', restore: false, staleTimeout: '2'
+      })
+      homebridge.launch()
+      homebridge.heartbeat(3)
+      assert.strictEqual(homebridge.accessories.length, 0)
+    })
+    it('should ignore an invalid staleTimeout', function () {
+      homebridge = new MockHomebridge({ cachedAccessories: cachedAccessories() })
+      homebridge.load(init)
+      homebridge.createPlatform({
+        platform: 'Test', restore: false, staleTimeout: -1, statsInterval: 'x'
+      })
+      homebridge.launch()
+      assert.strictEqual(homebridge.platform._staleTimeout, 300)
+      assert.strictEqual(homebridge.platform._statsInterval, 3600)
+      const messages = homebridge.messages.map((m) => m.message)
+      assert(messages.includes(
+        'warning: config.json: platforms[0].staleTimeout: invalid integer value: below 0 - ignored'
+      ))
+      assert(messages.includes(
+        'warning: config.json: platforms[0].statsInterval: not an integer - ignored'
+      ))
+    })
+  })
+  describe('#_migrateContext()', function () {
+    function cachedAccessories () {
+      homebridge = startHomebridge(init, { platform: 'Test', switches: ['1'] })
+      homebridge.platform._accessoryDelegates['1'].switch.values.on = true
+      homebridge.shutdown()
+      return homebridge.cachedAccessories()
+    }
+
+    it('should migrate the context of restored accessories', function () {
+      homebridge = new MockHomebridge({ cachedAccessories: cachedAccessories() })
+      homebridge.load(migrateInit)
+      homebridge.createPlatform({ platform: 'Test' })
+      homebridge.launch()
+      const delegate = homebridge.platform._accessoryDelegates['1']
+      assert.deepStrictEqual(delegate.context, { serial: '1' })
+      assert.strictEqual(homebridge.accessory('1').context.contextVersion, 2)
+      assert.strictEqual(delegate.switch.values.on, true)
+      assert(homebridge.messages.some((message) => {
+        return message.level === 'log' && message.message ===
+          'Switch 1: context: migrated from version 1 to 2'
+      }))
+    })
+    it('should rebuild accessories that cannot be migrated', function () {
+      const cached = cachedAccessories()
+      cached[0].context.contextVersion = 3
+      homebridge = new MockHomebridge({ cachedAccessories: cached })
+      homebridge.load(migrateInit)
+      let updated = 0
+      homebridge.on('updated', () => { updated++ })
+      homebridge.createPlatform({ platform: 'Test' })
+      homebridge.launch()
+      const delegate = homebridge.platform._accessoryDelegates['1']
+      assert.deepStrictEqual(delegate.context, { serial: '1' })
+      assert.strictEqual(homebridge.accessory('1').context.contextVersion, 2)
+      assert.strictEqual(delegate.switch.values.on, false)
+      assert.strictEqual(updated, 1)
+      assert(homebridge.messages.some((message) => {
+        return message.level === 'warning' && message.message ===
+          'Switch 1: warning: context: version 3: cannot migrate to version 2: newer than 2'
+      }))
+    })
+    it('should keep the aliases and history file when rebuilding', function () {
+      const cached = cachedAccessories()
+      cached[0].context.contextVersion = 3
+      cached[0].context.aliases = ['0']
+      cached[0].context.historyFile = 'history.json'
+      homebridge = new MockHomebridge({ cachedAccessories: cached })
+      homebridge.load(migrateInit)
+      homebridge.createPlatform({ platform: 'Test' })
+      homebridge.launch()
+      const context = homebridge.accessory('1').context
+      assert.strictEqual(context.contextVersion, 2)
+      assert.deepStrictEqual(context.aliases, ['0'])
+      assert.strictEqual(context.historyFile, 'history.json')
+    })
+  })
+  describe('#renameAccessory()', function () {
+    function cachedAccessories () {
+      homebridge = startHomebridge(
+        init, { platform: 'Test', switches: ['1', '3'] }
+      )
+      homebridge.platform._accessoryDelegates['1'].switch.values.on = true
+      homebridge.shutdown()
+      return homebridge.cachedAccessories()
+    }
+
+    it('should keep the UUID of a renamed accessory', function () {
+      homebridge = new MockHomebridge({ cachedAccessories: cachedAccessories() })
+      homebridge.load(init)
+      const platform = homebridge.createPlatform({
+        platform: 'Test', restore: false
+      })
+      const uuid = homebridge.accessory('1').UUID
+      assert.strictEqual(platform.renameAccessory('1', '2'), true)
+      assert.strictEqual(platform.renameAccessory('1', '2'), false)
+      platform.createAccessory('2')
+      homebridge.launch()
+      assert.strictEqual(homebridge.accessory('1'), undefined)
+      assert.strictEqual(homebridge.accessory('2').UUID, uuid)
+      assert.strictEqual(platform._accessoryDelegates['2'].switch.values.on, true)
+      homebridge.shutdown()
+      homebridge = new MockHomebridge({
+        cachedAccessories: homebridge.cachedAccessories()
+      })
+      homebridge.load(init)
+      homebridge.createPlatform({ platform: 'Test', restore: false })
+      assert.strictEqual(homebridge.accessory('2').UUID, uuid)
+      assert.deepStrictEqual(homebridge.accessory('2').context.aliases, ['1'])
+    })
+    it('should link a delegate with the old id to the renamed accessory', function () {
+      homebridge = new MockHomebridge({ cachedAccessories: cachedAccessories() })
+      homebridge.load(init)
+      const platform = homebridge.createPlatform({
+        platform: 'Test', restore: false
+      })
+      const uuid = homebridge.accessory('1').UUID
+      platform.renameAccessory('1', '2')
+      const delegate = new TestAccessory(platform, { id: '1', name: 'Switch 1' })
+      homebridge.launch()
+      assert.strictEqual(platform._accessoryDelegates['2'], delegate)
+      assert.strictEqual(platform._accessoryDelegates['1'], undefined)
+      assert.strictEqual(homebridge.accessory('1'), undefined)
+      assert.strictEqual(homebridge.accessory('2').UUID, uuid)
+      assert.strictEqual(delegate.switch.values.on, true)
+    })
+    it('should rename the accessory delegate', function () {
+      homebridge = new MockHomebridge({ cachedAccessories: cachedAccessories() })
+      homebridge.load(init)
+      const platform = homebridge.createPlatform({ platform: 'Test' })
+      const delegate = platform._accessoryDelegates['1']
+      platform.renameAccessory('1', '2')
+      assert.strictEqual(platform._accessoryDelegates['2'], delegate)
+      assert.strictEqual(platform._accessoryDelegates['1'], undefined)
+      assert.throws(function () {
+        platform.renameAccessory('2', '3')
+      }, new RangeError('newId: 3: duplicate id'))
+    })
+  })
+  describe('#config', function () {
+    it('should return config.json as-is without configDefinition', function () {
+      homebridge = new MockHomebridge()
+      homebridge.load(init)
+      const configJson = { platform: 'Test', foo: 'bar' }
+      const platform = homebridge.createPlatform(configJson)
+      assert.strictEqual(platform.config, configJson)
+    })
+    it('should return the parsed config.json', function () {
+      homebridge = new MockHomebridge()
+      homebridge.load(configInit)
+      const platform = homebridge.createPlatform({
+        platform: 'Test', switches: [1], upnp: { searchInterval: '60' }
+      })
+      assert.deepStrictEqual(platform.config, {
+        platform: 'Test',
+        switches: ['1'],
+        timeout: 5,
+        upnp: { searchInterval: 60 }
+      })
+    })
+    it('should report each invalid key and not use an invalid config.json', async function () {
+      homebridge = startHomebridge(configInit, {
+        platform: 'Test', switches: ['1']
+      })
+      await homebridge.shutdown()
+      homebridge = new MockHomebridge({
+        cachedAccessories: homebridge.cachedAccessories()
+      })
+      homebridge.load(fatalConfigInit)
+      const platform = homebridge.createPlatform({
+        platform: 'Test', switches: [{}], upnp: { searchInterval: 'bar' }
+      })
+      const errors = homebridge.messages.filter((m) => m.level === 'error')
+        .map((m) => m.message)
+      assert.deepStrictEqual(errors, [
+        'error: config.json: platforms[0].switches[0]: not a string',
+        'error: config.json: platforms[0].upnp.searchInterval: not an integer',
+        'fatal: config.json: invalid configuration for Test platform'
+      ])
+      assert.strictEqual(platform.config, null)
+      assert.deepStrictEqual(platform.restored, [])
+      assert.deepStrictEqual(platform._accessoryDelegates, {})
+      homebridge.launch()
+      assert.strictEqual(platform._heartbeat, undefined)
+    })
+  })
+  describe('#storage()', function () {
+    let storagePath
+
+    beforeEach(function () {
+      homebridge = new MockHomebridge()
+      homebridge.load(init)
+      homebridge.createPlatform({ platform: 'Test' })
+      storagePath = homebridge.user.storagePath()
+    })
+
+    // Return the filename of the document for namespace.
+    function filename (namespace) {
+      return path.join(storagePath, 'homebridge-test', namespace + '.json')
+    }
+
+    it('should persist the document across restarts', async function () {
+      const storage = homebridge.platform.storage('tokens')
+      assert.strictEqual(homebridge.platform.storage('tokens'), storage)
+      storage.set('token', 'abc')
+      storage.set('devices', ['1'])
+      storage.delete('devices')
+      keepStoragePath(homebridge)
+      await homebridge.shutdown()
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(filename('tokens'))), {
+        version: 1, data: { token: 'abc' }
+      })
+      assert(!fs.existsSync(filename('tokens') + '.tmp'))
+      homebridge = new MockHomebridge({ storagePath: storagePath })
+      homebridge.load(init)
+      homebridge.createPlatform({ platform: 'Test' })
+      assert.strictEqual(homebridge.platform.storage('tokens').get('token'), 'abc')
+      await homebridge.shutdown()
+      removeDirectory(storagePath)
+    })
+    it('should migrate the document to the schema version', async function () {
+      fs.mkdirSync(path.dirname(filename('devices')), { recursive: true })
+      fs.writeFileSync(filename('devices'), JSON.stringify({
+        version: 1, data: { ids: ['1', '2'] }
+      }))
+      const storage = homebridge.platform.storage('devices', {
+        version: 3,
+        migrations: {
+          2: (data) => { return { devices: data.ids } },
+          3: (data) => { data.count = data.devices.length; return data }
+        }
+      })
+      assert.deepStrictEqual(storage.keys(), ['devices', 'count'])
+      assert.strictEqual(storage.get('count'), 2)
+      await storage.flush()
+      assert.strictEqual(JSON.parse(fs.readFileSync(filename('devices'))).version, 3)
+    })
+    it('should throw an error for a newer document', function () {
+      fs.mkdirSync(path.dirname(filename('devices')), { recursive: true })
+      fs.writeFileSync(filename('devices'), JSON.stringify({ version: 2, data: {} }))
+      assert.throws(function () {
+        homebridge.platform.storage('devices')
+      }, new RangeError(`${filename('devices')}: version 2: newer than 1`))
+    })
+    it('should throw a TypeError for an invalid document', function () {
+      fs.mkdirSync(path.dirname(filename('devices')), { recursive: true })
+      fs.writeFileSync(filename('devices'), JSON.stringify({ data: {} }))
+      assert.throws(function () {
+        homebridge.platform.storage('devices')
+      }, new TypeError(`${filename('devices')}: version undefined: invalid version`))
+      fs.writeFileSync(filename('devices'), JSON.stringify({ version: 1 }))
+      assert.throws(function () {
+        homebridge.platform.storage('devices')
+      }, new TypeError(`${filename('devices')}: data: not an object`))
+    })
+    it('should not emit error without listeners', async function () {
+      const storage = new homebridgeLib.PersistentStorage(
+        path.join(storagePath, 'missing', 'tokens.json'), { saveDelay: 0 }
+      )
+      storage.set('token', 'abc')
+      await new Promise((resolve) => { setTimeout(resolve, 20) })
+      await assert.rejects(storage.flush(), (error) => error.code === 'ENOENT')
+    })
+    it('should retry a failed save on flush()', async function () {
+      const dir = path.join(storagePath, 'missing')
+      const storage = new homebridgeLib.PersistentStorage(
+        path.join(dir, 'tokens.json'), { saveDelay: 0 }
+      )
+      const errors = []
+      storage.on('error', (error) => { errors.push(error) })
+      storage.set('token', 'abc')
+      await new Promise((resolve) => { setTimeout(resolve, 20) })
+      assert.strictEqual(errors.length, 1)
+      assert.strictEqual(errors[0].code, 'ENOENT')
+      fs.mkdirSync(dir)
+      await storage.flush()
+      assert.deepStrictEqual(
+        JSON.parse(fs.readFileSync(path.join(dir, 'tokens.json'))),
+        { version: 1, data: { token: 'abc' } }
+      )
+    })
+    it('should throw a TypeError for a migration without result', function () {
+      fs.mkdirSync(path.dirname(filename('devices')), { recursive: true })
+      fs.writeFileSync(filename('devices'), JSON.stringify({ version: 1, data: {} }))
+      assert.throws(function () {
+        homebridge.platform.storage('devices', {
+          version: 2,
+          migrations: { 2: (data) => { data.count = 0 } }
+        })
+      }, new TypeError(
+        `${filename('devices')}: version 2: migration didn't return an object`
+      ))
+    })
+    it('should throw a RangeError for an invalid namespace', function () {
+      assert.throws(function () {
+        homebridge.platform.storage('../tokens')
+      }, new RangeError('namespace: ../tokens: invalid namespace'))
+    })
+  })
+  describe('#_fault()', function () {
+    let delegate
+
+    beforeEach(function () {
+      homebridge = startHomebridge(init, {
+        platform: 'Test', switches: ['1'], faultThreshold: 2
+      })
+      delegate = homebridge.platform._accessoryDelegates['1']
+    })
+
+    it('should isolate errors thrown by event listeners', async function () {
+      let fault
+      delegate.on('fault', (error) => { fault = error })
+      delegate.on('test', () => { throw new TypeError('bug') })
+      delegate.on('test', async () => { throw new Error('async bug') })
+      delegate.emit('test')
+      await new Promise((resolve) => { setImmediate(resolve) })
+      assert(delegate.faulty)
+      assert.strictEqual(fault.message, 'async bug')
+      const messages = homebridge.messages.map((m) => m.message)
+      assert(messages.includes('Switch 1: error: async bug'))
+      assert(messages.includes('Switch 1: warning: 2 faults'))
+    })
+    it('should keep StatusFault while faulty', function () {
+      const sensor = new TestSensor(delegate, { name: 'Sensor', contact: 0 })
+      delegate.on('test', () => { throw new TypeError('bug') })
+      delegate.emit('test')
+      delegate.emit('test')
+      assert(delegate.faulty)
+      assert.strictEqual(sensor.values.statusFault, 1)
+      for (let i = 0; i < delegate._errorThreshold; i++) {
+        delegate.reportError(new Error('timeout'))
+      }
+      assert.strictEqual(delegate.reachable, false)
+      delegate.reportSuccess()
+      assert.strictEqual(delegate.reachable, true)
+      assert(delegate.faulty)
+      assert.strictEqual(sensor.values.statusFault, 1)
+    })
+    it('should isolate programming errors from getters and polls', async function () {
+      const light = new homebridgeLib.ServiceDelegate.Lightbulb(
+        delegate, { name: 'Light' }
+      )
+      light._addCharacteristicDelegate({
+        key: 'brightness',
+        Characteristic: homebridge.hap.Characteristic.Brightness,
+        getter: async () => { throw new Error('device busy') }
+      })
+      await assert.rejects(homebridge.get(
+        '1', homebridge.hap.Service.Lightbulb,
+        homebridge.hap.Characteristic.Brightness
+      ))
+      assert.strictEqual(delegate._faults, 0)
+      delegate.addPoll('bug', async () => { return delegate.foo.bar })
+      await delegate._runPoll('bug', delegate._polls.bug)
+      assert.strictEqual(delegate._faults, 1)
+      assert(!delegate.faulty)
+    })
+    it('should exit on fault with exitOnFault', function () {
+      homebridge.platform._config.exitOnFault = true
+      let fatal
+      homebridge.platform.fatal = (message) => { fatal = message }
+      delegate.on('test', () => { throw new TypeError('bug') })
+      delegate.emit('test')
+      assert.strictEqual(fatal, 'exit on fault')
+      assert(!delegate.faulty)
+    })
+    it('should log an error event without listeners', function () {
+      assert.strictEqual(delegate.emit('error', new Error('no device')), false)
+      assert(homebridge.messages.some((m) => {
+        return m.level === 'error' && m.message === 'Switch 1: error: no device'
+      }))
+    })
+    it('should isolate an uncaught exception', function () {
+      let fatal
+      homebridge.platform.fatal = (message) => { fatal = message }
+      homebridge.platform._uncaughtException(new TypeError('bug'))
+      homebridge.platform._unhandledRejection(new Error('rejected'))
+      assert.strictEqual(fatal, undefined)
+      assert.strictEqual(homebridge.platform._faults, 2)
+      const messages = homebridge.messages.map((m) => m.message)
+      assert(messages.includes('error: uncaught exception'))
+      assert(messages.includes('error: unhandled promise rejection'))
+      assert(!messages.some((m) => m.startsWith('fatal: ')))
+    })
+    it('should exit on an uncaught exception with exitOnFault', function () {
+      homebridge.platform._config.exitOnFault = true
+      let fatal
+      homebridge.platform.fatal = (message) => { fatal = message }
+      homebridge.platform._uncaughtException(new TypeError('bug'))
+      assert.strictEqual(fatal, 'exit on fault')
+      assert.strictEqual(homebridge.platform._faults, 1)
+    })
+    it('should wrap a rejection without error', async function () {
+      let fault
+      delegate.on('fault', (error) => { fault = error })
+      // Reject with undefined instead of an Error.
+      delegate.on('test', async () => { throw delegate.reason })
+      for (let i = 0; i < 3; i++) {
+        delegate.emit('test')
+      }
+      await new Promise((resolve) => { setImmediate(resolve) })
+      assert(delegate.faulty)
+      assert(fault instanceof Error)
+    })
+  })
+  describe('#addShutdownHandler()', function () {
+    // Return a promise that resolves after ms milliseconds.
+    function delay (ms) {
+      return new Promise((resolve) => { setTimeout(resolve, ms) })
+    }
+
+    beforeEach(function () {
+      homebridge = startHomebridge(
+        quickShutdownInit, { platform: 'Test', switches: ['1', '2'] }
+      )
+    })
+
+    it('should await the shutdown handlers', async function () {
+      const done = []
+      homebridge.platform.addShutdownHandler(async () => {
+        await delay(5)
+        done.push('platform')
+      })
+      const delegate = homebridge.platform._accessoryDelegates['1']
+      delegate.switch.addShutdownHandler(async () => {
+        await delay(10)
+        done.push('switch')
+      })
+      await homebridge.shutdown()
+      assert.deepStrictEqual(done, ['platform', 'switch'])
+    })
+    it('should report handlers that fail or do not finish', async function () {
+      const delegate = homebridge.platform._accessoryDelegates['1']
+      delegate.addShutdownHandler(async function close () {
+        await delay(100)
+      })
+      delegate.addShutdownHandler(async () => {
+        throw new Error('cannot close')
+      }, 'flush')
+      await homebridge.shutdown()
+      const messages = homebridge.messages.map((m) => m.message)
+      assert(messages.includes(
+        'Switch 1: warning: shutdown: close: not finished after 20 ms'
+      ))
+      assert(messages.includes('Switch 1: error: cannot close'))
+    })
+    it('should drop the handlers of removed accessories', async function () {
+      let called = false
+      const delegate = homebridge.platform._accessoryDelegates['2']
+      delegate.switch.addShutdownHandler(async () => { called = true })
+      delegate.remove()
+      await homebridge.shutdown()
+      assert(!called)
+    })
+  })
+  describe('#stats', function () {
+    beforeEach(function () {
+      homebridge = startHomebridge(init, {
+        platform: 'Test', switches: ['1'], statsInterval: 2
+      })
+    })
+
+    it('should count the HomeKit requests per accessory', async function () {
+      const delegate = homebridge.platform._accessoryDelegates['1']
+      delegate.outlet = new TestOutlet(delegate, { name: 'Outlet', on: false })
+      delegate.device = async (value) => { throw new Error('device busy') }
+      const Service = homebridge.hap.Service
+      const Characteristic = homebridge.hap.Characteristic
+      delegate.switch._addCharacteristicDelegate({
+        key: 'brightness',
+        Characteristic: Characteristic.Brightness,
+        getter: async () => { return 50 }
+      })
+      assert.strictEqual(
+        await homebridge.get('1', Service.Switch, Characteristic.Brightness), 50
+      )
+      await homebridge.set('1', Service.Switch, Characteristic.On, true)
+      await assert.rejects(
+        homebridge.set('1', Service.Outlet, Characteristic.On, true)
+      )
+      const stats = homebridge.platform.stats
+      assert.strictEqual(stats.heartbeat.beats, 1)
+      assert.strictEqual(stats.homeKit.get.count, 1)
+      assert.strictEqual(stats.homeKit.set.count, 2)
+      assert.strictEqual(stats.homeKit.set.errors, 1)
+      const accessory = stats.accessories['1']
+      assert.strictEqual(accessory.name, 'Switch 1')
+      assert.strictEqual(accessory.services, 3)
+      assert.deepStrictEqual(accessory.set, stats.homeKit.set)
+    })
+    it('should count the REST requests', function () {
+      const client = new homebridgeLib.RestClient({ name: 'bridge' })
+      homebridge.platform.addRestClient(client)
+      client.emit('response', 'GET', '/', 10)
+      client.emit('requestError', 'GET', '/', new Error('timeout'), 30)
+      assert.deepStrictEqual(homebridge.platform.stats.rest, {
+        bridge: { requests: 2, errors: 1, errorRate: 50, average: 20 }
+      })
+    })
+    it('should log a summary every statsInterval seconds', function () {
+      homebridge.heartbeat(2)
+      assert(homebridge.messages.some((m) => {
+        return m.level === 'log' && /^stats: 0 HomeKit gets/.test(m.message)
+      }))
+    })
+  })
+  describe('#_statusServerStart()', function () {
+    let port
+
+    // Issue an HTTP request to the status server.
+    function request (method, path) {
+      return new Promise((resolve, reject) => {
+        http.request({ port: port, method: method, path: path }, (response) => {
+          let body = ''
+          response.on('data', (chunk) => { body += chunk })
+          response.on('end', () => {
+            resolve({ statusCode: response.statusCode, body: body })
+          })
+        }).on('error', reject).end()
+      })
+    }
+
+    beforeEach(async function () {
+      homebridge = new MockHomebridge()
+      homebridge.load(init)
+      // Port 0 selects a free port.
+      homebridge.createPlatform({
+        platform: 'Test', switches: ['1'], statusPort: 0
+      })
+      homebridge.launch()
+      homebridge.heartbeat()
+      const server = homebridge.platform._statusServer
+      await new Promise((resolve) => { server.once('listening', resolve) })
+      port = server.address().port
+      homebridge.platform._accessoryDelegates['1'].switch.values.on = true
+    })
+
+    it('should serve the accessories on /status', async function () {
+      const response = await request('GET', '/status')
+      assert.strictEqual(response.statusCode, 200)
+      const status = JSON.parse(response.body)
+      assert.strictEqual(status.platform, 'Test')
+      const accessory = status.accessories['1']
+      assert.strictEqual(accessory.name, 'Switch 1')
+      const service = accessory.services.find((s) => {
+        return s.type === homebridge.hap.Service.Switch.UUID
+      })
+      assert.deepStrictEqual(service.characteristics, {
+        Name: 'Switch 1', On: true
+      })
+    })
+    it('should serve Prometheus metrics on /metrics', async function () {
+      const response = await request('GET', '/metrics')
+      assert.strictEqual(response.statusCode, 200)
+      const lines = response.body.split('\n')
+      assert(lines.includes('# TYPE homebridge_lib_homekit_requests_total counter'))
+      assert(lines.includes(
+        'homebridge_lib_characteristic_value{platform="Test",accessory="Switch 1",' +
+        'id="1",service="Switch 1",characteristic="On"} 1'
+      ))
+    })
+    it('should reject other requests', async function () {
+      assert.strictEqual((await request('GET', '/foo')).statusCode, 404)
+      assert.strictEqual((await request('POST', '/status')).statusCode, 405)
+    })
+  })
+  describe('#logLevel', function () {
+    // Create the platform with logLevel, and return the messages.
+    function messages (logLevel) {
+      homebridge = startHomebridge(init, {
+        platform: 'Test', switches: ['1', '2'], logLevel: logLevel
+      })
+      for (const id of ['1', '2']) {
+        const delegate = homebridge.platform._accessoryDelegates[id]
+        delegate.debug('debug message')
+        delegate.switch.characteristicDelegate('on').debug('debug message')
+        delegate.log('log message')
+      }
+      return homebridge.messages
+    }
+
+    it('should print debug messages for matching accessories', function () {
+      const m = messages({ accessories: { 'Switch ?': 'warning', 1: 'debug' } })
+      assert.strictEqual(m.filter((m) => {
+        return m.level === 'log' && m.message === 'Switch 1: debug: debug message'
+      }).length, 2)
+      assert(!m.some((m) => /^Switch 2: /.test(m.message)))
+    })
+    it('should ignore invalid log levels', function () {
+      const m = messages({
+        platform: 'loud', accessories: { 1: 'debug', 2: 'loud' }
+      })
+      assert.deepStrictEqual(m.filter((m) => m.level === 'warning').map((m) => {
+        return m.message
+      }).filter((message) => /logLevel/.test(message)), [
+        'warning: config.json: platforms[0].logLevel.platform: invalid string value: not in allowed values - ignored',
+        'warning: config.json: platforms[0].logLevel.accessories.2: invalid string value: not in allowed values - ignored'
+      ])
+      assert.strictEqual(homebridge.platform._logLevels.platform, undefined)
+      assert.deepStrictEqual(homebridge.platform._logLevels.accessories.map((entry) => {
+        return entry.id
+      }), ['1'])
+      assert(m.some((m) => m.message === 'Switch 1: debug: debug message'))
+      assert(m.some((m) => m.message === 'Switch 2: log message'))
+    })
+    it('should apply the platform level', function () {
+      const m = messages({ platform: 'warning' })
+      assert(!m.some((m) => m.message === 'Switch 1: log message'))
+      homebridge.platform.error('error message')
+      assert(m.some((m) => m.message === 'error: error message'))
+    })
+    it('should apply the subsystem level', function () {
+      messages({ subsystems: { upnp: 'debug' } })
+      homebridge.platform._upnpConfig({})
+      homebridge.platform._upnpMonitor.emit('searchDone')
+      assert(homebridge.messages.some((m) => {
+        return m.level === 'log' && m.message === 'upnp: debug: search done'
+      }))
+      assert(homebridge.messages.some((m) => {
+        return m.level === 'debug' && m.message === 'Switch 1: debug message'
+      }))
+    })
+    it('should apply the subsystem level to the REST clients', function () {
+      messages({ subsystems: { rest: 'error' } })
+      const client = new homebridgeLib.RestClient({ name: 'bridge' })
+      homebridge.platform.addRestClient(client)
+      client.emit('requestError', 'GET', '/', new Error('timeout'), 30)
+      assert(!homebridge.messages.some((m) => /^rest: /.test(m.message)))
+      homebridge.shutdown()
+      messages({ subsystems: { rest: 'debug' } })
+      homebridge.platform.addRestClient(client)
+      client.emit('response', 'GET', '/lights', 10)
+      assert(homebridge.messages.some((m) => {
+        return m.level === 'log' &&
+          m.message === 'rest: debug: bridge: GET /lights: ok (10 ms)'
+      }))
+    })
+  })
+  describe('#jsonLog', function () {
+    it('should write structured log records', async function () {
+      homebridge = new MockHomebridge()
+      homebridge.load(init)
+      homebridge.createPlatform({ platform: 'Test', switches: ['1'] })
+      const records = []
+      homebridge.platform.jsonLog = {
+        write: (line) => { records.push(JSON.parse(line)) }
+      }
+      homebridge.launch()
+      homebridge.heartbeat()
+      const Service = homebridge.hap.Service
+      const Characteristic = homebridge.hap.Characteristic
+      await homebridge.set('1', Service.Switch, Characteristic.On, true)
+      const record = records.find((r) => r.message === 'On changed from false to true')
+      assert(!isNaN(Date.parse(record.timestamp)))
+      delete record.timestamp
+      assert.deepStrictEqual(record, {
+        level: 'log',
+        platform: 'Test',
+        accessory: 'Switch 1',
+        service: 'Switch 1',
+        characteristic: 'On',
+        key: 'on',
+        oldValue: false,
+        newValue: true,
+        message: 'On changed from false to true'
+      })
+      homebridge.platform.warn('platform message')
+      const platformRecord = records[records.length - 1]
+      assert.strictEqual(platformRecord.level, 'warning')
+      assert.strictEqual(platformRecord.accessory, undefined)
+      assert.strictEqual(platformRecord.message, 'platform message')
+    })
+    it('should append the records to the file from config.json', async function () {
+      homebridge = new MockHomebridge()
+      homebridge.load(init)
+      const platform = homebridge.createPlatform({
+        platform: 'Test', switches: ['1'], jsonLog: 'log.json'
+      })
+      const stream = platform.jsonLog
+      homebridge.launch()
+      homebridge.heartbeat()
+      const storagePath = keepStoragePath(homebridge)
+      homebridge.shutdown()
+      await new Promise((resolve) => { stream.on('finish', resolve) })
+      const filename = path.join(storagePath, 'log.json')
+      const records = fs.readFileSync(filename, 'utf8').trim().split('\n')
+        .map((line) => JSON.parse(line))
+      assert(records.some((r) => r.message === 'set On to false'))
+      assert.strictEqual(platform.jsonLog, null)
+      removeDirectory(storagePath)
+    })
+    it('should throw a TypeError for an invalid sink', function () {
+      homebridge = new MockHomebridge()
+      homebridge.load(init)
+      const platform = homebridge.createPlatform({ platform: 'Test' })
+      assert.throws(function () {
+        platform.jsonLog = 'log.json'
+      }, new TypeError('jsonLog: not a writable stream'))
+    })
+  })
+  describe('.configSchema()', function () {
+    it('should return null without configDefinition', function () {
+      homebridge = new MockHomebridge()
+      homebridge.load(init)
+      assert.strictEqual(homebridge.Platform.configSchema(), null)
+    })
+    it('should return config.schema.json', function () {
+      homebridge = new MockHomebridge()
+      homebridge.load(configInit)
+      const configSchema = homebridge.Platform.configSchema()
+      assert.strictEqual(configSchema.pluginAlias, 'Test')
+      assert.strictEqual(configSchema.pluginType, 'platform')
+      const schema = configSchema.schema
+      assert.strictEqual(schema.properties.platform, undefined)
+      assert.strictEqual(schema.required, undefined)
+      assert.deepStrictEqual(schema.properties.switches, {
+        type: 'array', items: { type: 'string' }
+      })
+      assert.deepStrictEqual(schema.properties.timeout, {
+        type: 'integer', default: 5
+      })
+      assert.strictEqual(schema.properties.upnp.properties.port.maximum, 65535)
+    })
+  })
+})
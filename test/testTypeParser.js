@@ -956,6 +956,9 @@ describe('TypeParser', function () {
       { v: '', o: { nonEmpty: true }, e: new RangeError('invalid empty string') },
       { v: '', o: { nonEmpty: true, userInput: true }, e: new UserInputError('invalid empty string') },
       { o: { nonEmpty: 'maybe' }, e: new TypeError('options.nonEmpty: not a boolean') },
+      { v: 'on', o: { allowedValues: ['on', /^of+$/] }, r: 'on' },
+      { v: 'off', o: { allowedValues: ['on', /^of+$/] }, r: 'off' },
+      { v: 'auto', o: { allowedValues: ['on', /^of+$/] }, e: new RangeError('invalid string value: not in allowed values') },
       { o: { badKey: false }, e: new TypeError('options.badKey: invalid key') }
     ])
   })
@@ -1167,6 +1170,83 @@ describe('TypeParser', function () {
     ])
   })
   describe('#parse()', function () {
-    //
+    const parser = new TypeParser({
+      type: 'object',
+      properties: {
+        host: { type: 'string', mandatory: true, defaultValue: 'localhost' },
+        port: { type: 'integer', minimumValue: 1, maximumValue: 65535 },
+        upnp: {
+          type: 'object',
+          properties: {
+            searchInterval: { type: 'integer' }
+          }
+        }
+      }
+    })
+    it('should return the value with defaults', function () {
+      assert.deepStrictEqual(parser.parse({ port: '80' }), {
+        host: 'localhost', port: 80
+      })
+    })
+    it('should prefix errors with options.key', function () {
+      assert.throws(function () {
+        parser.parse({ upnp: { searchInterval: 'x' } }, {
+          userInput: true, key: 'platforms[0]'
+        })
+      }, new UserInputError('platforms[0].upnp.searchInterval: not an integer'))
+    })
+    it('should emit an error for each invalid key and throw the first', function () {
+      const errors = []
+      const listener = (error) => { errors.push(error.message) }
+      parser.on('error', listener)
+      assert.throws(function () {
+        parser.parse({ port: 'x', foo: 1, upnp: { searchInterval: 'x' } })
+      }, new TypeError('port: not an integer'))
+      parser.removeListener('error', listener)
+      assert.deepStrictEqual(errors, [
+        'port: not an integer',
+        'foo: invalid key',
+        'upnp.searchInterval: not an integer'
+      ])
+    })
+  })
+  describe('#toJsonSchema()', function () {
+    it('should convert the definition to JSON Schema', function () {
+      const parser = new TypeParser({
+        type: 'object',
+        properties: {
+          host: { type: 'string', mandatory: true, defaultValue: 'localhost' },
+          port: { type: 'integer', minimumValue: 1, maximumValue: 65535 },
+          mode: { type: 'string', allowedValues: ['on', 'off'] },
+          lights: {
+            type: 'array',
+            nonEmpty: true,
+            members: [{ type: 'string' }]
+          },
+          username: { type: 'string', mandatory: true }
+        }
+      })
+      assert.deepStrictEqual(parser.toJsonSchema(), {
+        type: 'object',
+        properties: {
+          host: { type: 'string', default: 'localhost' },
+          port: { type: 'integer', minimum: 1, maximum: 65535 },
+          mode: { type: 'string', enum: ['on', 'off'] },
+          lights: { type: 'array', minItems: 1, items: { type: 'string' } },
+          username: { type: 'string' }
+        },
+        required: ['username'],
+        additionalProperties: false
+      })
+    })
+    it('should throw a TypeError for unsupported types', function () {
+      const parser = new TypeParser({
+        type: 'object',
+        properties: { callback: { type: 'function' } }
+      })
+      assert.throws(function () {
+        parser.toJsonSchema()
+      }, new TypeError('callback: function: not supported by JSON Schema'))
+    })
   })
 })